@@ -1,22 +1,45 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { authenticate } = require('../services/sessions');
+const { hasPermission } = require('../services/permissions');
+
+// A failed session lookup is a server error, not a reason to sign the user out
+const lookupFailed = (res, err) => {
+  console.log(err);
+  res.status(503).json({ message: 'Could not check your session, try again' });
+};
 
 const auth = async (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '');
   if (!token) return res.status(401).json({ message: 'No token provided' });
 
+  let identity;
+  try {
+    identity = await authenticate(token);
+  } catch (err) {
+    return lookupFailed(res, err);
+  }
+  if (!identity) return res.status(401).json({ message: 'Invalid token' });
+  req.user = identity.user;
+  req.sessionId = identity.sessionId;
+  next();
+};
+
+// Attach req.user when a valid token is sent, but let anonymous requests through
+const optionalAuth = async (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  let identity;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await User.findById(decoded.id);
-    next();
+    identity = token ? await authenticate(token) : null;
   } catch (err) {
-    res.status(401).json({ message: 'Invalid token' });
+    return lookupFailed(res, err);
   }
+  req.user = identity ? identity.user : null;
+  next();
 };
 
-const adminAuth = (req, res, next) => {
-  if (req.user.role !== 'staff' && req.user.role !== 'superadmin') {
-    return res.status(403).json({ message: 'Access denied' });
+// Require a named permission, e.g. requirePermission('products:write')
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({ message: `Missing permission: ${permission}` });
   }
   next();
 };
@@ -28,4 +51,4 @@ const superAdminAuth = (req, res, next) => {
   next();
 };
 
-module.exports = { auth, adminAuth, superAdminAuth };
\ No newline at end of file
+module.exports = { auth, optionalAuth, requirePermission, superAdminAuth };
\ No newline at end of file
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const GHANA_REGIONS = [
+  'Ahafo', 'Ashanti', 'Bono', 'Bono East', 'Central', 'Eastern', 'Greater Accra', 'North East',
+  'Northern', 'Oti', 'Savannah', 'Upper East', 'Upper West', 'Volta', 'Western', 'Western North'
+];
+
+// GhanaPost digital address, e.g. GA-492-7409
+const GPS_CODE = /^[A-Z]{2}-\d{3,4}-\d{4}$/;
+// Local (0XX...) or international (+233XX...) mobile and landline numbers
+const GHANA_PHONE = /^(\+233|0)[235]\d{8}$/;
+
+const normalisePhone = v => (v ? v.replace(/[\s-]/g, '') : v);
+
+// Delivery address, used in the user's address book and snapshotted onto orders
+const addressSchema = new mongoose.Schema({
+  label: { type: String, trim: true }, // e.g. Home, Office
+  recipientName: { type: String, required: true, trim: true },
+  phone: { type: String, required: true, set: normalisePhone, match: [GHANA_PHONE, 'Invalid Ghana phone number'] },
+  region: { type: String, required: true, enum: GHANA_REGIONS },
+  city: { type: String, required: true, trim: true },
+  street: { type: String, trim: true },
+  landmark: { type: String, trim: true },
+  gpsCode: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [GPS_CODE, 'GhanaPost GPS code must look like GA-492-7409']
+  },
+  isDefault: { type: Boolean, default: false }
+});
+
+module.exports = { addressSchema, GHANA_REGIONS, GHANA_PHONE, normalisePhone };
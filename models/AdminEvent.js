@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// Recent dashboard events, kept so reconnecting clients can replay what they missed.
+// Capped: old events fall off once the collection reaches its size limit.
+const adminEventSchema = new mongoose.Schema({
+  type: { type: String, required: true },
+  data: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now }
+}, { capped: { size: 5 * 1024 * 1024, max: 5000 } });
+
+module.exports = mongoose.model('AdminEvent', adminEventSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Append-only record of administrative actions. before/after hold only the
+// fields that changed.
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  actorName: { type: String },
+  action: { type: String, required: true },
+  targetType: { type: String, required: true },
+  targetId: { type: String },
+  targetLabel: { type: String },
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed },
+  meta: { type: mongoose.Schema.Types.Mixed },
+  ip: { type: String },
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+const appendOnly = () => {
+  throw new Error('Audit log entries cannot be changed or removed');
+};
+
+auditLogSchema.pre('save', function () {
+  if (!this.isNew) appendOnly();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  appendOnly
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, appendOnly);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
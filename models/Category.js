@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const slugify = text => String(text)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// A product category. ancestors lists the parent chain root-first, so a
+// category's whole subtree is { ancestors: id }.
+const categorySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  slug: { type: String, unique: true, lowercase: true, trim: true, match: [SLUG, 'Slugs may only contain a-z, 0-9 and hyphens'] },
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
+  ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+  description: { type: String },
+  image: { type: String }, // URL or path
+  sortOrder: { type: Number, default: 0 }, // position among its siblings
+  featured: { type: Boolean, default: false }, // shown in "Shop by Category"
+  lowStockThreshold: { type: Number, min: 0 }, // default for its products and subcategories
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Sibling names are unique regardless of case, so "Shoes" and "shoes" can't both exist
+categorySchema.index({ parent: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+categorySchema.index({ parent: 1, sortOrder: 1 });
+categorySchema.index({ ancestors: 1 });
+categorySchema.index({ featured: 1, sortOrder: 1 });
+
+// Keep ancestors in step with parent, refuse cycles, and give new categories a free slug
+categorySchema.pre('validate', async function () {
+  const Category = this.constructor;
+  if (this.isNew || this.isModified('parent')) {
+    if (!this.parent) {
+      this.ancestors = [];
+    } else {
+      const parent = await Category.findById(this.parent);
+      if (!parent) return this.invalidate('parent', 'Parent category not found');
+      if (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id))) {
+        return this.invalidate('parent', 'A category cannot be moved inside itself');
+      }
+      this.ancestors = [...parent.ancestors, parent._id];
+    }
+  }
+  if (!this.slug) {
+    const base = slugify(this.name) || 'category';
+    const taken = slug => Category.exists({ slug, _id: { $ne: this._id } });
+    let slug = base;
+    if (this.parent && await taken(slug)) {
+      const parent = await Category.findById(this.parent, 'slug');
+      slug = `${parent.slug}-${base}`; // e.g. men-shoes next to women-shoes
+    }
+    for (let n = 2; await taken(slug); n++) slug = `${base}-${n}`;
+    this.slug = slug;
+  }
+});
+
+categorySchema.statics.slugify = slugify;
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A support thread with a customer account or a guest email; its messages live in Message
+const conversationSchema = new mongoose.Schema({
+  customer: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  guestName: { type: String },
+  guestEmail: { type: String, lowercase: true, trim: true },
+  guestToken: { type: String, select: false }, // lets a guest read and reply without an account
+  subject: { type: String, default: 'General enquiry' },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  status: { type: String, enum: ['open', 'pending', 'closed'], default: 'open' }, // pending = waiting on the customer
+  legacy: { type: Boolean }, // from the old single-message format: converted by migrate:messages, or sent with its body
+  unreadForStaff: { type: Number, default: 0 },
+  unreadForCustomer: { type: Number, default: 0 },
+  lastMessageAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Guests on the old format never gave an email, so they are let through
+conversationSchema.pre('validate', function () {
+  if (!this.customer && !this.guestEmail && !this.legacy) {
+    this.invalidate('guestEmail', 'An email address is required for guest conversations');
+  }
+});
+
+conversationSchema.index({ status: 1, lastMessageAt: -1 });
+conversationSchema.index({ assignedTo: 1, lastMessageAt: -1 });
+conversationSchema.index({ customer: 1, lastMessageAt: -1 });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. invoice numbers
+const counterSchema = new mongoose.Schema({
+  _id: { type: String },
+  seq: { type: Number, default: 0 }
+});
+
+// Atomically take the next number in a sequence. Inside a transaction the
+// increment rolls back with it, so aborted orders leave no gaps.
+counterSchema.statics.next = async function (name, session) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
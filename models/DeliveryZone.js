@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { GHANA_REGIONS } = require('./Address');
+
+const METHODS = ['delivery', 'pickup'];
+const FEE_TYPES = ['flat', 'weight'];
+
+// Where we deliver and what it costs. A delivery zone covers whole regions, or only
+// the listed cities in them; a pickup point is a place customers collect from.
+const deliveryZoneSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true }, // e.g. Accra, Kumasi, Other regions
+  method: { type: String, enum: METHODS, default: 'delivery' },
+  regions: [{ type: String, enum: GHANA_REGIONS }],
+  cities: [{ type: String, trim: true }], // empty means every city in the regions
+  pickupAddress: { type: String, trim: true },
+  feeType: { type: String, enum: FEE_TYPES, default: 'flat' },
+  fee: { type: Number, min: 0, default: 0 }, // GHS; the base fee for weight-based zones
+  includedKg: { type: Number, min: 0, default: 0 }, // weight covered by the base fee
+  perKgFee: { type: Number, min: 0, default: 0 }, // GHS per extra kg, rounded up to whole kg
+  estimatedDays: { type: String, trim: true }, // e.g. 1-2
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+deliveryZoneSchema.pre('validate', function () {
+  if (this.method === 'delivery' && !this.regions.length) {
+    this.invalidate('regions', 'Delivery zones need at least one region');
+  }
+  if (this.method === 'pickup' && !this.pickupAddress) {
+    this.invalidate('pickupAddress', 'Pickup points need an address');
+  }
+});
+
+// Fee in GHS for a parcel of the given weight
+deliveryZoneSchema.methods.feeFor = function (weightKg) {
+  if (this.feeType !== 'weight') return this.fee;
+  const extraKg = Math.max(0, Math.ceil(weightKg - this.includedKg));
+  return Math.round((this.fee + extraKg * this.perKgFee) * 100) / 100;
+};
+
+deliveryZoneSchema.statics.METHODS = METHODS;
+deliveryZoneSchema.statics.FEE_TYPES = FEE_TYPES;
+
+module.exports = mongoose.model('DeliveryZone', deliveryZoneSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Append-only ledger of every stock change; Product.stock is kept in sync with it
+const inventoryMovementSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId }, // Product.variants subdocument
+  type: { type: String, enum: ['receipt', 'sale', 'cancellation', 'adjustment', 'damage'], required: true },
+  quantity: { type: Number, required: true }, // signed delta applied to stock
+  stockAfter: { type: Number, required: true },
+  reason: { type: String },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ order: 1 });
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
@@ -1,11 +1,13 @@
 const mongoose = require('mongoose');
 
 const messageSchema = new mongoose.Schema({
-  sender: { type: String, required: true }, // could be user id or 'admin'
-  message: { type: String, required: true },
-  response: { type: String }, // admin response
-  timestamp: { type: Date, default: Date.now },
-  isRead: { type: Boolean, default: false }
+  conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // empty for guests
+  authorType: { type: String, enum: ['customer', 'staff'], required: true },
+  body: { type: String, required: true },
+  timestamp: { type: Date, default: Date.now }
 });
 
-module.exports = mongoose.model('Message', messageSchema);
\ No newline at end of file
+messageSchema.index({ conversation: 1, timestamp: 1 });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -1,14 +1,126 @@
 const mongoose = require('mongoose');
+const { addressSchema } = require('./Address');
+const Counter = require('./Counter');
+
+const STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+const PAYMENT_STATUSES = ['unpaid', 'paid', 'failed', 'refunded'];
+
+// Allowed next statuses for each status; delivered and cancelled are final
+const TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const statusChangeSchema = new mongoose.Schema({
+  from: { type: String, enum: STATUSES },
+  to: { type: String, enum: STATUSES, required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  note: { type: String },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
 
 const orderSchema = new mongoose.Schema({
+  invoiceNumber: { type: String, unique: true, sparse: true }, // e.g. INV-000123
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   products: [{
     product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
-    quantity: { type: Number, required: true }
+    variant: { type: mongoose.Schema.Types.ObjectId }, // Product.variants subdocument
+    sku: { type: String },
+    name: { type: String }, // snapshot at time of order
+    options: { type: Map, of: String }, // variant option values at time of order
+    price: { type: Number, required: true }, // unit price in GHS, taken from the product
+    quantity: { type: Number, required: true, min: 1 }
   }],
-  total: { type: Number, required: true },
-  status: { type: String, enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'], default: 'pending' },
+  subtotal: { type: Number }, // sum of line prices before discounts
+  discount: { type: Number, default: 0 },
+  promotions: [{
+    promotion: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion' },
+    code: { type: String },
+    type: { type: String },
+    discount: { type: Number } // GHS taken off by this code
+  }],
+  freeDelivery: { type: Boolean, default: false },
+  deliveryFee: { type: Number, default: 0 },
+  total: { type: Number, required: true }, // subtotal - discount + deliveryFee
+  shippingAddress: { type: addressSchema }, // copy of the address chosen at checkout
+  delivery: {
+    method: { type: String, enum: ['delivery', 'pickup'], default: 'delivery' },
+    zone: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliveryZone' },
+    zoneName: { type: String }, // snapshot, in case the zone is renamed or removed
+    pickupAddress: { type: String },
+    estimatedDays: { type: String },
+    weightKg: { type: Number }
+  },
+  shipment: {
+    carrier: { type: String, trim: true }, // rider's name or courier company
+    riderPhone: { type: String, trim: true },
+    trackingReference: { type: String, trim: true },
+    proofNote: { type: String, trim: true }, // e.g. who received it, or where it was left
+    assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    assignedAt: { type: Date },
+    updatedAt: { type: Date }
+  },
+  status: { type: String, enum: STATUSES, default: 'pending' },
+  paymentStatus: { type: String, enum: PAYMENT_STATUSES, default: 'unpaid' },
+  payment: {
+    provider: { type: String }, // e.g. paystack, mock
+    reference: { type: String }, // reference of the latest payment attempt, or of the one that was paid
+    references: { type: [String], default: [] }, // every attempt's reference, oldest first
+    amount: { type: Number }, // GHS the provider was asked to charge
+    paidAt: { type: Date },
+    refundedAt: { type: Date },
+    issue: { type: String }, // money arrived that staff must check or refund, e.g. a wrong amount
+    events: { type: [String], default: [] } // provider event ids already applied
+  },
+  statusHistory: { type: [statusChangeSchema], default: [] },
   createdAt: { type: Date, default: Date.now }
 });
 
-module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
+orderSchema.index({ createdAt: -1 });
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ 'promotions.promotion': 1, user: 1 });
+orderSchema.index({ 'payment.reference': 1 }, { unique: true, sparse: true });
+orderSchema.index({ 'payment.references': 1 });
+orderSchema.index({ paymentStatus: 1, status: 1, createdAt: 1 });
+
+orderSchema.statics.TRANSITIONS = TRANSITIONS;
+orderSchema.statics.PAYMENT_STATUSES = PAYMENT_STATUSES;
+
+orderSchema.statics.nextInvoiceNumber = async function (session) {
+  const seq = await Counter.next('invoice', session);
+  return `INV-${String(seq).padStart(6, '0')}`;
+};
+
+// Orders placed before invoice numbers existed get one the first time they are invoiced
+orderSchema.methods.ensureInvoiceNumber = async function () {
+  if (!this.invoiceNumber) {
+    const invoiceNumber = await this.constructor.nextInvoiceNumber();
+    const updated = await this.constructor.findOneAndUpdate(
+      { _id: this._id, invoiceNumber: null },
+      { invoiceNumber },
+      { new: true }
+    );
+    this.invoiceNumber = updated ? updated.invoiceNumber : (await this.constructor.findById(this._id)).invoiceNumber;
+  }
+  return this.invoiceNumber;
+};
+
+orderSchema.methods.canTransitionTo = function (status) {
+  return (TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move to a new status and record who did it on the timeline
+orderSchema.methods.transitionTo = function (status, actor, note) {
+  if (!this.canTransitionTo(status)) {
+    const err = new Error(`Cannot change order from ${this.status} to ${status}`);
+    err.status = 409;
+    throw err;
+  }
+  this.statusHistory.push({ from: this.status, to: status, actor, note });
+  this.status = status;
+};
+
+module.exports = mongoose.model('Order', orderSchema);
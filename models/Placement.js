@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const SECTIONS = ['new-arrivals', 'fast-selling', 'shop-by-category'];
+const ACTIONS = ['pin', 'exclude'];
+
+// A merchandiser's override for one product in a homepage section: pinned products
+// are shown first, in position order; excluded ones are kept out of the automatic
+// list. Either can be limited to a date range.
+const placementSchema = new mongoose.Schema({
+  section: { type: String, enum: SECTIONS, required: true },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  action: { type: String, enum: ACTIONS, default: 'pin' },
+  position: { type: Number, default: 0 }, // order among the section's pins
+  startsAt: { type: Date }, // live immediately when unset
+  endsAt: { type: Date }, // never expires when unset
+  note: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+placementSchema.index({ section: 1, product: 1 }, { unique: true });
+placementSchema.index({ section: 1, action: 1, position: 1 });
+
+placementSchema.pre('validate', function () {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date');
+  }
+});
+
+// Query conditions for placements that are live at the given time
+placementSchema.statics.liveAt = (now = new Date()) => ({
+  $and: [
+    { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+    { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+  ]
+});
+
+placementSchema.statics.SECTIONS = SECTIONS;
+placementSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('Placement', placementSchema);
@@ -1,23 +1,94 @@
 const mongoose = require('mongoose');
+const { responsiveImage } = require('../services/imageSizes');
+
+// One sellable combination of option values, e.g. { color: 'Red', size: 'M' }
+const variantSchema = new mongoose.Schema({
+  sku: { type: String, required: true, trim: true },
+  options: { type: Map, of: String, default: {} },
+  stock: { type: Number, required: true, default: 0, min: 0 },
+  price: { type: Number }, // overrides the product price when set
+  image: { type: String } // URL or path
+}, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+variantSchema.virtual('imageSet').get(function () {
+  return responsiveImage(this.image);
+});
+
+// Wholesale quantity break, e.g. { minQty: 10, price: 50 } for GHS 50 each at 10+
+const priceTierSchema = new mongoose.Schema({
+  minQty: { type: Number, required: true, min: 1 },
+  price: { type: Number, required: true, min: 0 }
+}, { _id: false });
 
 const productSchema = new mongoose.Schema({
+  sku: { type: String, trim: true, unique: true, sparse: true },
   name: { type: String, required: true },
   shortDescription: { type: String, required: true },
   longDescription: { type: String },
   brand: { type: String },
   colors: { type: [String] }, // array of colors
   sizes: { type: [String] }, // array of sizes
+  variants: { type: [variantSchema], default: [] },
   price: { type: Number, required: true }, // in GHS
-  stock: { type: Number, required: true, default: 0 },
-  category: { type: String, required: true },
+  stock: { type: Number, required: true, default: 0 }, // sum of variant stock when variants exist
+  lowStockThreshold: { type: Number, min: 0 }, // falls back to the category default when unset
+  weightKg: { type: Number, min: 0 }, // shipping weight per unit, used for weight-based delivery fees
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: true,
+    validate: {
+      validator: id => mongoose.model('Category').exists({ _id: id }).then(Boolean),
+      message: 'Category not found'
+    }
+  },
   image: { type: String }, // URL or path
   additionalMedia: { type: [String] }, // array of additional media paths (images/videos)
   isWholesale: { type: Boolean, default: false },
   minOrderQty: { type: Number, default: 1 },
-  isNewArrival: { type: Boolean, default: false },
-  isFastSelling: { type: Boolean, default: false },
-  isShopByCategory: { type: Boolean, default: false },
+  priceTiers: { type: [priceTierSchema], default: [] }, // only shown to wholesale accounts
+  salesCount: { type: Number, default: 0 }, // units sold, used for popularity sorting
+  salesVelocity: { type: Number, default: 0 }, // recent units sold per day, refreshed by the fast-selling job
+  salesVelocityAt: { type: Date },
+  ratingAverage: { type: Number, default: 0 }, // mean of approved review ratings, one decimal
+  ratingCount: { type: Number, default: 0 }, // approved reviews
   createdAt: { type: Date, default: Date.now }
+}, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+// Thumbnail/medium/large URLs and a srcset for the storefront
+productSchema.virtual('imageSet').get(function () {
+  return responsiveImage(this.image);
+});
+
+productSchema.virtual('additionalMediaSets').get(function () {
+  return (this.additionalMedia || []).map(url => responsiveImage(url) || { url });
+});
+
+productSchema.index(
+  { name: 'text', brand: 'text', shortDescription: 'text', longDescription: 'text' },
+  { weights: { name: 10, brand: 5, shortDescription: 2, longDescription: 1 }, name: 'product_text' }
+);
+productSchema.index({ category: 1, price: 1 });
+productSchema.index({ brand: 1, price: 1 });
+productSchema.index({ createdAt: -1 });
+productSchema.index({ salesCount: -1, createdAt: -1 });
+productSchema.index({ isWholesale: 1, price: 1 });
+productSchema.index({ salesVelocity: -1 });
+productSchema.index({ ratingAverage: -1, ratingCount: -1 });
+
+productSchema.pre('validate', function () {
+  this.priceTiers.sort((a, b) => a.minQty - b.minQty);
+  const tierQtys = this.priceTiers.map(t => t.minQty);
+  if (new Set(tierQtys).size !== tierQtys.length) {
+    this.invalidate('priceTiers', 'Price tiers must have distinct quantities');
+  }
+
+  if (!this.variants.length) return;
+  const skus = this.variants.map(v => v.sku);
+  if (new Set(skus).size !== skus.length) {
+    this.invalidate('variants', 'Variant SKUs must be unique');
+  }
+  this.stock = this.variants.reduce((sum, v) => sum + v.stock, 0);
 });
 
-module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
+module.exports = mongoose.model('Product', productSchema);
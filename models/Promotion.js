@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const TYPES = ['percentage', 'fixed', 'free_delivery', 'bxgy'];
+
+// A promotion code. Scope limits which cart lines it applies to (a category
+// covers its subcategories); an empty scope means the whole cart.
+const promotionSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String },
+  type: { type: String, enum: TYPES, required: true },
+  value: { type: Number, min: 0, default: 0 }, // percent for percentage, GHS for fixed
+  buyQty: { type: Number, min: 1 }, // bxgy: buy this many...
+  getQty: { type: Number, min: 1 }, // ...and get this many of the cheapest eligible units
+  getDiscount: { type: Number, min: 0, max: 100, default: 100 }, // bxgy: percent off the "get" units
+  scope: {
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }]
+  },
+  minSpend: { type: Number, min: 0, default: 0 }, // GHS, on the cart subtotal
+  usageLimit: { type: Number, min: 1 }, // total redemptions; unlimited when unset
+  perCustomerLimit: { type: Number, min: 1 },
+  redemptionCount: { type: Number, default: 0 },
+  startsAt: { type: Date },
+  endsAt: { type: Date },
+  stackable: { type: Boolean, default: false }, // may be combined with other codes
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+promotionSchema.pre('validate', function () {
+  if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage discounts cannot exceed 100');
+  }
+  if ((this.type === 'percentage' || this.type === 'fixed') && !(this.value > 0)) {
+    this.invalidate('value', 'Discount value is required');
+  }
+  if (this.type === 'bxgy' && (!this.buyQty || !this.getQty)) {
+    this.invalidate('buyQty', 'Buy-X-get-Y promotions need buyQty and getQty');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date');
+  }
+});
+
+promotionSchema.statics.TYPES = TYPES;
+
+module.exports = mongoose.model('Promotion', promotionSchema);
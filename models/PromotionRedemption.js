@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// How many live (not cancelled) orders a customer has used a promotion on, kept so the
+// per-customer limit can be enforced with one conditional update
+const promotionRedemptionSchema = new mongoose.Schema({
+  promotion: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  count: { type: Number, default: 0, min: 0 }
+});
+
+promotionRedemptionSchema.index({ promotion: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromotionRedemption', promotionRedemptionSchema);
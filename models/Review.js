@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+const MAX_PHOTOS = 5;
+
+// A customer's rating of a product they received. Reviews stay hidden until staff
+// approve them; only approved ones count towards the product's rating.
+const reviewSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true }, // delivered order it was bought in
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: { validator: Number.isInteger, message: 'Rating must be a whole number of stars' }
+  },
+  title: { type: String, trim: true, maxlength: 120 },
+  body: { type: String, required: true, trim: true, maxlength: 5000 },
+  photos: {
+    type: [String],
+    default: [],
+    validate: { validator: v => v.length <= MAX_PHOTOS, message: `At most ${MAX_PHOTOS} photos` }
+  },
+  status: { type: String, enum: STATUSES, default: 'pending' },
+  rejectionReason: { type: String, trim: true }, // shown to the customer
+  moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  moderatedAt: { type: Date },
+  reply: { // public answer from staff
+    body: { type: String, trim: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date }
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// One review per customer per product; they edit it rather than adding another
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+
+reviewSchema.statics.STATUSES = STATUSES;
+reviewSchema.statics.MAX_PHOTOS = MAX_PHOTOS;
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+const { ALL_PERMISSIONS } = require('../services/permissions');
+
+// A custom staff role built by the superadmin from named permissions
+const roleSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  description: { type: String },
+  permissions: [{ type: String, enum: ALL_PERMISSIONS }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Holds the hash of its current refresh token, which is
+// replaced on every refresh, and of the one before it, which is still accepted
+// briefly so two tabs refreshing at once don't sign each other out. Expired
+// sessions are removed by the TTL index.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true, select: false },
+  previousTokenHash: { type: String, select: false },
+  rotatedAt: { type: Date }, // when previousTokenHash was replaced
+  userAgent: { type: String },
+  ip: { type: String },
+  revokedAt: { type: Date },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,11 +1,49 @@
 const mongoose = require('mongoose');
+const { addressSchema, GHANA_PHONE, normalisePhone } = require('./Address');
 
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, enum: ['customer', 'staff', 'superadmin'], default: 'customer' },
+  role: { type: String, enum: ['customer', 'wholesale', 'staff', 'superadmin'], default: 'customer' },
+  staffRole: { type: mongoose.Schema.Types.ObjectId, ref: 'Role' },
+  phone: { type: String, set: normalisePhone, match: [GHANA_PHONE, 'Invalid Ghana phone number'] },
+  addresses: { type: [addressSchema], default: [] },
+  pendingEmail: { type: String, select: false }, // waiting for verification
+  emailVerificationHash: { type: String, select: false },
+  emailVerificationExpires: { type: Date, select: false },
+  passwordResetHash: { type: String, select: false },
+  passwordResetExpires: { type: Date, select: false },
+  deletedAt: { type: Date }, // set when the account was anonymised
   createdAt: { type: Date, default: Date.now }
 });
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+// At most one default address; the first one added becomes the default
+userSchema.pre('validate', function () {
+  if (this.addresses.length && !this.addresses.some(a => a.isDefault)) {
+    this.addresses[0].isDefault = true;
+  }
+  let seenDefault = false;
+  this.addresses.forEach((a) => {
+    if (a.isDefault && seenDefault) a.isDefault = false;
+    if (a.isDefault) seenDefault = true;
+  });
+});
+
+userSchema.methods.defaultAddress = function () {
+  return this.addresses.find(a => a.isDefault);
+};
+
+// Never send credentials or verification secrets to clients
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.emailVerificationHash;
+    delete ret.emailVerificationExpires;
+    delete ret.passwordResetHash;
+    delete ret.passwordResetExpires;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('User', userSchema);
@@ -1,20 +1,83 @@
 const API_BASE = '/api'; // Adjust if needed
 
 let token = localStorage.getItem('token');
+let productsPage = 1;
+let searchTimer;
+let eventSource;
+
+// Access tokens last 15 minutes; refresh well before they run out
+const TOKEN_REFRESH_MS = 10 * 60 * 1000;
 
 // Check if user is logged in
 if (!token) {
   window.location.href = 'admin-login.html';
 } else {
-  loadDashboard();
+  refreshSession().then(() => {
+    loadDashboard();
+    setInterval(refreshSession, TOKEN_REFRESH_MS);
+  });
+}
+
+// Swap the stored refresh token for a new access token. Timers are throttled in
+// background tabs, so this also runs whenever the tab becomes visible again. Tabs
+// share one session, so refreshes take turns and a tab reuses a token another tab
+// has just fetched instead of spending the refresh token again.
+const TOKEN_REUSE_MS = 60 * 1000;
+
+function refreshSession() {
+  if (navigator.locks) return navigator.locks.request('refresh-session', refreshSessionNow);
+  return refreshSessionNow();
+}
+
+async function refreshSessionNow() {
+  const refreshedAt = parseInt(localStorage.getItem('tokenRefreshedAt'));
+  if (refreshedAt && Date.now() - refreshedAt < TOKEN_REUSE_MS && localStorage.getItem('token')) {
+    token = localStorage.getItem('token');
+    return;
+  }
+  try {
+    const res = await fetch(`${API_BASE}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken') })
+    });
+    if (res.status === 401) return endSession();
+    if (!res.ok) return; // server trouble; keep the session and try again later
+    const data = await res.json();
+    token = data.token;
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    localStorage.setItem('tokenRefreshedAt', Date.now());
+    localStorage.setItem('user', JSON.stringify(data.user));
+  } catch (err) {
+    console.error(err);
+  }
 }
 
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible' && token) refreshSession();
+});
 
-document.getElementById('logout-btn').addEventListener('click', () => {
+function endSession() {
+  if (eventSource) eventSource.close();
   localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('tokenRefreshedAt');
   localStorage.removeItem('user');
   token = null;
   window.location.href = 'admin-login.html';
+}
+
+document.getElementById('logout-btn').addEventListener('click', async () => {
+  try {
+    await fetch(`${API_BASE}/auth/logout`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+  } catch (err) {
+    console.error(err);
+  }
+  endSession();
 });
 
 document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -30,6 +93,9 @@ document.getElementById('product-form').addEventListener('submit', async (e) =>
    e.preventDefault();
    const formData = new FormData();
    formData.append('name', document.getElementById('product-name').value);
+   if (document.getElementById('product-sku').value.trim()) {
+     formData.append('sku', document.getElementById('product-sku').value.trim());
+   }
    formData.append('shortDescription', document.getElementById('product-short-description').value);
    formData.append('longDescription', document.getElementById('product-long-description').value);
    formData.append('brand', document.getElementById('product-brand').value);
@@ -39,6 +105,8 @@ document.getElementById('product-form').addEventListener('submit', async (e) =>
    sizes.forEach(size => formData.append('sizes', size));
    formData.append('price', parseFloat(document.getElementById('product-price').value));
    formData.append('stock', parseInt(document.getElementById('product-stock').value));
+   formData.append('lowStockThreshold', document.getElementById('product-low-stock-threshold').value);
+   formData.append('weightKg', document.getElementById('product-weight').value);
    formData.append('category', document.getElementById('product-category').value);
    formData.append('image', document.getElementById('product-image').files[0]);
    const additionalMedia = document.getElementById('product-additional-media').files;
@@ -47,9 +115,8 @@ document.getElementById('product-form').addEventListener('submit', async (e) =>
    }
    formData.append('isWholesale', document.getElementById('product-wholesale').checked);
    formData.append('minOrderQty', parseInt(document.getElementById('product-moq').value) || 1);
-   formData.append('isNewArrival', document.getElementById('product-new-arrival').checked);
-   formData.append('isFastSelling', document.getElementById('product-fast-selling').checked);
-   formData.append('isShopByCategory', document.getElementById('product-shop-category').checked);
+   formData.append('priceTiers', JSON.stringify(parsePriceTiers(document.getElementById('product-price-tiers').value)));
+   appendVariants(formData, collectVariantMatrix('variant-matrix'));
    try {
      const res = await fetch(`${API_BASE}/products`, {
        method: 'POST',
@@ -59,15 +126,189 @@ document.getElementById('product-form').addEventListener('submit', async (e) =>
        body: formData
      });
      if (res.ok) {
-       loadProducts();
+       loadProducts(1);
        document.getElementById('product-form').reset();
        document.getElementById('product-moq').value = '1';
+       document.getElementById('variant-matrix').innerHTML = '';
      }
    } catch (err) {
      console.error(err);
    }
  });
 
+document.getElementById('generate-variants-btn').addEventListener('click', () => {
+  renderVariantMatrix('variant-matrix', 'product');
+});
+
+function splitList(value) {
+  return value.split(',').map(v => v.trim()).filter(v => v);
+}
+
+// Build one row per color/size combination from the form whose ids start with prefix,
+// keeping values already typed in. Rows for saved variants keep their id, image and stock.
+function renderVariantMatrix(containerId, prefix) {
+  const colors = splitList(document.getElementById(`${prefix}-colors`).value);
+  const sizes = splitList(document.getElementById(`${prefix}-sizes`).value);
+  const name = document.getElementById(`${prefix}-name`).value;
+  const existing = {};
+  collectVariantMatrix(containerId).forEach(v => existing[variantLabel(v.options)] = v);
+
+  const combos = [];
+  (colors.length ? colors : [null]).forEach(color => {
+    (sizes.length ? sizes : [null]).forEach(size => {
+      const options = {};
+      if (color) options.color = color;
+      if (size) options.size = size;
+      if (Object.keys(options).length) combos.push(options);
+    });
+  });
+
+  const container = document.getElementById(containerId);
+  if (!combos.length) {
+    container.innerHTML = '<p>Enter colors and/or sizes first.</p>';
+    return;
+  }
+  container.innerHTML = variantMatrixTable(combos.map(options => ({
+    options,
+    ...existing[variantLabel(options)],
+    sku: (existing[variantLabel(options)] || {}).sku || defaultSku(name, options)
+  })));
+}
+
+function variantMatrixTable(variants) {
+  return `
+    <table class="variant-table">
+      <thead><tr><th>Variant</th><th>SKU</th><th>Stock</th><th>Price override</th><th>Image</th></tr></thead>
+      <tbody>
+        ${variants.map(v => `
+          <tr class="variant-row" data-options='${JSON.stringify(v.options)}' data-id="${v._id || ''}" data-image="${v.image || ''}">
+            <td>${variantLabel(v.options)}</td>
+            <td><input type="text" class="variant-sku" value="${v.sku}" required></td>
+            <td><input type="number" class="variant-stock" value="${v.stock ?? 0}" min="0" ${v._id ? 'disabled title="Use a stock movement to change saved variants"' : ''}></td>
+            <td><input type="number" class="variant-price" value="${v.price ?? ''}" placeholder="Default"></td>
+            <td>
+              ${v.image ? `<img src="${v.image}" alt="" class="variant-image-preview">` : ''}
+              <input type="file" class="variant-image" accept="image/jpeg,image/png,image/webp,image/gif,image/avif">
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// "10:50, 50:45" -> [{ minQty: 10, price: 50 }, { minQty: 50, price: 45 }]
+function parsePriceTiers(value) {
+  return value.split(',').map(t => t.trim()).filter(t => t).map(t => {
+    const [minQty, price] = t.split(':').map(n => n.trim());
+    return { minQty: parseInt(minQty), price: parseFloat(price) };
+  }).filter(t => t.minQty > 0 && !isNaN(t.price));
+}
+
+function variantLabel(options) {
+  return Object.values(options || {}).join(' / ');
+}
+
+function defaultSku(name, options) {
+  return [name.slice(0, 6), ...Object.values(options)]
+    .map(part => part.toUpperCase().replace(/[^A-Z0-9]/g, ''))
+    .filter(part => part)
+    .join('-');
+}
+
+function collectVariantMatrix(containerId) {
+  return Array.from(document.querySelectorAll(`#${containerId} .variant-row`)).map(row => {
+    const price = row.querySelector('.variant-price').value;
+    const variant = {
+      options: JSON.parse(row.dataset.options),
+      sku: row.querySelector('.variant-sku').value.trim(),
+      stock: parseInt(row.querySelector('.variant-stock').value) || 0,
+      price: price === '' ? null : parseFloat(price),
+      imageFile: row.querySelector('.variant-image').files[0]
+    };
+    if (row.dataset.id) variant._id = row.dataset.id;
+    if (row.dataset.image) variant.image = row.dataset.image;
+    return variant;
+  });
+}
+
+// Variants travel as JSON; their image files go in variantImages, referenced by index
+function appendVariants(formData, variants) {
+  variants.forEach(v => {
+    if (v.imageFile) {
+      v.imageIndex = formData.getAll('variantImages').length;
+      formData.append('variantImages', v.imageFile);
+    }
+    delete v.imageFile;
+  });
+  formData.append('variants', JSON.stringify(variants));
+}
+
+document.getElementById('import-form').addEventListener('submit', (e) => {
+  e.preventDefault();
+  runImport(false);
+});
+
+// Preview first; the preview offers a button that re-sends the file with commit=true
+async function runImport(commit) {
+  const file = document.getElementById('import-file').files[0];
+  if (!file) return;
+  const formData = new FormData();
+  formData.append('file', file);
+  try {
+    const res = await fetch(`${API_BASE}/products/import${commit ? '?commit=true' : ''}`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token}` },
+      body: formData
+    });
+    const report = await res.json();
+    if (!res.ok) {
+      alert(report.message);
+      return;
+    }
+    document.getElementById('import-preview').innerHTML = `
+      <p>${report.total} rows: ${report.valid} valid, ${report.invalid} with errors${commit ? `, ${report.imported} imported` : ''}.</p>
+      <table class="variant-table">
+        <thead><tr><th>Row</th><th>SKU</th><th>Name</th><th>Action</th><th>Result</th></tr></thead>
+        <tbody>
+          ${report.rows.map(r => `
+            <tr>
+              <td>${r.row}</td>
+              <td>${r.sku || ''}</td>
+              <td>${r.name || ''}</td>
+              <td>${r.action || ''}</td>
+              <td class="${r.errors.length ? 'import-error' : 'import-ok'}">${r.errors.length ? r.errors.join('; ') : (r.imported ? 'Imported' : 'OK')}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ${!commit && report.valid ? `<button type="button" onclick="runImport(true)">Import ${report.valid} Valid Rows</button>` : ''}
+    `;
+    if (commit) loadProducts(1);
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function exportProducts(format) {
+  try {
+    const res = await fetch(`${API_BASE}/products/export?format=${format}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const blob = await res.blob();
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `products.${format}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+document.getElementById('export-csv-btn').addEventListener('click', () => exportProducts('csv'));
+document.getElementById('export-xlsx-btn').addEventListener('click', () => exportProducts('xlsx'));
+
 document.getElementById('create-staff-form').addEventListener('submit', async (e) => {
   e.preventDefault();
   const name = document.getElementById('staff-name').value;
@@ -94,54 +335,245 @@ document.getElementById('create-staff-form').addEventListener('submit', async (e
   }
 });
 
+// Whether the signed-in user holds a permission; the server enforces the same
+// rules, this only hides what they can't use
+function can(permission) {
+  const user = JSON.parse(localStorage.getItem('user'));
+  return !!user && (user.permissions || []).includes(permission);
+}
+
 async function loadDashboard() {
   const user = JSON.parse(localStorage.getItem('user'));
   if (user && user.role === 'superadmin') {
     document.getElementById('create-staff-section').style.display = 'block';
     document.querySelector('[data-tab="users"]').style.display = 'inline-block';
+    document.querySelector('[data-tab="activity"]').style.display = 'inline-block';
   } else {
     document.querySelector('[data-tab="users"]').style.display = 'none';
+    document.querySelector('[data-tab="activity"]').style.display = 'none';
   }
+  document.querySelectorAll('[data-permission]').forEach(el => {
+    if (!can(el.dataset.permission)) el.style.display = 'none';
+  });
+  loadCategories();
   loadProducts();
-  loadOrders();
-  loadMessages();
-  loadUsers();
+  if (can('orders:view')) loadOrders();
+  if (can('messages:respond')) loadStaffMembers();
+  if (can('messages:view')) loadMessages();
+  if (can('promotions:manage')) loadPromotions();
+  if (can('delivery:manage')) initDelivery();
+  if (can('merchandising:manage')) loadMerchandising();
+  if (can('reviews:moderate')) loadReviews();
+  if (can('reports:view')) initAnalytics();
+  if (user && user.role === 'superadmin') {
+    loadRoles().then(loadUsers);
+    loadActivityActors();
+    loadActivity();
+  }
   loadProfile();
+  loadSessions();
+  connectEvents();
+}
+
+// Live updates: EventSource reconnects on its own and sends Last-Event-ID, and the last
+// id seen is kept in localStorage so a page reload also replays what was missed.
+function connectEvents() {
+  const params = new URLSearchParams({ token });
+  const lastEventId = localStorage.getItem('lastEventId');
+  if (lastEventId) params.set('lastEventId', lastEventId);
+  eventSource = new EventSource(`${API_BASE}/events/stream?${params}`);
+  // A rejected token closes the stream for good; reconnect with the latest token
+  eventSource.onerror = () => {
+    if (eventSource.readyState === EventSource.CLOSED && token) setTimeout(connectEvents, 5000);
+  };
+
+  const on = (type, handler) => eventSource.addEventListener(type, (e) => {
+    localStorage.setItem('lastEventId', e.lastEventId);
+    handler(JSON.parse(e.data));
+  });
+
+  on('order.created', (data) => {
+    showToast(`New order: GHS ${data.total}`);
+    loadOrders();
+  });
+  on('order.status_changed', (data) => {
+    showToast(`Order ${data.order.slice(-6)} is now ${data.status}`);
+    loadOrders();
+  });
+  on('order.payment_changed', (data) => {
+    showToast(`Order ${data.order.slice(-6)} payment ${data.paymentStatus}`, data.paymentStatus === 'failed' ? 'warning' : 'info');
+    loadOrders();
+  });
+  on('order.payment_issue', (data) => {
+    showToast(`Order ${data.invoiceNumber || data.order.slice(-6)} needs attention: ${data.issue}`, 'warning');
+    loadOrders();
+  });
+  on('payment.unmatched', (data) => {
+    showToast(`Payment ${data.reference} (${data.status}, GHS ${data.amount}) matches no order; check it with the provider`, 'warning');
+  });
+  on('message.received', (data) => {
+    showToast(`New message: ${data.subject}`);
+    loadMessages();
+    const reply = document.getElementById('reply-body');
+    if (data.conversation === activeConversation && reply && !reply.value) openConversation(activeConversation);
+  });
+  on('stock.low', (data) => {
+    showToast(`Low stock: ${data.name}${data.sku ? ` ${data.sku}` : ''} (${data.stock} left)`, 'warning');
+    loadLowStock();
+  });
+  on('review.submitted', (data) => {
+    showToast(`New ${data.rating}-star review of ${data.name}`);
+    loadReviews();
+  });
+}
+
+function showToast(text, type = 'info') {
+  const toast = document.createElement('div');
+  toast.className = `toast toast-${type}`;
+  toast.textContent = text;
+  document.getElementById('toasts').appendChild(toast);
+  setTimeout(() => toast.remove(), 6000);
 }
 
-async function loadProducts() {
+document.getElementById('product-search').addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => loadProducts(1), 300);
+});
+
+document.getElementById('product-sort').addEventListener('change', () => loadProducts(1));
+
+async function loadProducts(page = productsPage) {
+  productsPage = page;
+  const params = new URLSearchParams({ page, limit: 24 });
+  const q = document.getElementById('product-search').value.trim();
+  if (q) params.set('q', q);
+  const sort = document.getElementById('product-sort').value;
+  if (sort) params.set('sort', sort);
   try {
-    const res = await fetch(`${API_BASE}/products`, {
+    const res = await fetch(`${API_BASE}/products?${params}`, {
       headers: { 'Authorization': `Bearer ${token}` }
     });
-    const products = await res.json();
+    const data = await res.json();
+    const products = data.products;
+    document.getElementById('products-pager').innerHTML = data.totalPages > 1 ? `
+      <button ${data.page <= 1 ? 'disabled' : ''} onclick="loadProducts(${data.page - 1})">Previous</button>
+      <span>Page ${data.page} of ${data.totalPages} (${data.total} products)</span>
+      <button ${data.page >= data.totalPages ? 'disabled' : ''} onclick="loadProducts(${data.page + 1})">Next</button>
+    ` : '';
     const list = document.getElementById('products-list');
     list.innerHTML = products.map(p => `
       <div class="product-item">
+        ${p.imageSet ? `<img class="product-thumb" src="${p.imageSet.medium}" srcset="${p.imageSet.srcset}" sizes="320px" alt="${p.name}">`
+          : (p.image ? `<img class="product-thumb" src="${p.image}" alt="${p.name}">` : '')}
         <h3>${p.name}</h3>
+        ${p.sku ? `<p><strong>SKU:</strong> ${p.sku}</p>` : ''}
         <p><strong>Short Desc:</strong> ${p.shortDescription}</p>
         ${p.longDescription ? `<p><strong>Long Desc:</strong> ${p.longDescription}</p>` : ''}
         ${p.brand ? `<p><strong>Brand:</strong> ${p.brand}</p>` : ''}
         ${p.colors && p.colors.length ? `<p><strong>Colors:</strong> ${p.colors.join(', ')}</p>` : ''}
         ${p.sizes && p.sizes.length ? `<p><strong>Sizes:</strong> ${p.sizes.join(', ')}</p>` : ''}
         <p><strong>Price:</strong> GHS ${p.price}</p>
-        <p><strong>Stock:</strong> ${p.stock}</p>
-        <p><strong>Category:</strong> ${p.category}</p>
+        <p><strong>Stock:</strong> ${p.stock}${p.lowStockThreshold != null ? ` (alert at ${p.lowStockThreshold})` : ''}</p>
+        ${p.variants && p.variants.length ? `
+          <table class="variant-table">
+            <thead><tr><th>Variant</th><th>SKU</th><th>Stock</th><th>Price</th></tr></thead>
+            <tbody>
+              ${p.variants.map(v => `
+                <tr>
+                  <td>${variantLabel(v.options)}</td>
+                  <td>${v.sku}</td>
+                  <td>${v.stock}</td>
+                  <td>GHS ${v.price ?? p.price}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : ''}
+        <p><strong>Category:</strong> ${p.category || ''}</p>
         <p><strong>Wholesale:</strong> ${p.isWholesale ? 'Yes (MOQ: ' + p.minOrderQty + ')' : 'No'}</p>
-        <p><strong>Sections:</strong> ${[
-          p.isNewArrival ? 'New Arrivals' : '',
-          p.isFastSelling ? 'Fast-Selling Items' : '',
-          p.isShopByCategory ? 'Shop by Category' : ''
-        ].filter(s => s).join(', ') || 'None'}</p>
-        <button onclick="updateStock('${p._id}', ${p.stock})">Update Stock</button>
-        <button onclick="deleteProduct('${p._id}')">Delete</button>
+        ${p.priceTiers && p.priceTiers.length ? `<p><strong>Price Breaks:</strong> ${p.priceTiers.map(t => `${t.minQty}+ @ GHS ${t.price}`).join(', ')}</p>` : ''}
+        <p><strong>Recent sales:</strong> ${p.salesVelocity || 0} per day</p>
+        <p><strong>Rating:</strong> ${p.ratingCount ? `${p.ratingAverage} / 5 from ${p.ratingCount} review${p.ratingCount === 1 ? '' : 's'}` : 'No reviews yet'}</p>
+        ${can('inventory:adjust') ? `
+        <div class="stock-movement-form">
+          <select id="movement-type-${p._id}">
+            <option value="receipt">Receipt (+)</option>
+            <option value="damage">Damage (-)</option>
+            <option value="adjustment">Adjustment (+/-)</option>
+          </select>
+          ${p.variants && p.variants.length ? `
+            <select id="movement-variant-${p._id}">
+              ${p.variants.map(v => `<option value="${v._id}">${variantLabel(v.options)} (${v.sku})</option>`).join('')}
+            </select>
+          ` : ''}
+          <input type="number" id="movement-qty-${p._id}" placeholder="Qty">
+          <input type="text" id="movement-reason-${p._id}" placeholder="Reason">
+          <button onclick="updateStock('${p._id}')">Record Stock Movement</button>
+        </div>
+        ` : ''}
+        ${can('inventory:view') ? `
+        <button onclick="toggleStockHistory('${p._id}')">Stock History</button>
+        <div id="stock-history-${p._id}" class="stock-history" style="display: none;"></div>
+        ` : ''}
+        ${can('products:write') ? `<button onclick="openEditProduct('${p._id}')">Edit</button>` : ''}
+        ${can('products:delete') ? `<button onclick="deleteProduct('${p._id}')">Delete</button>` : ''}
       </div>
     `).join('');
+    if (can('inventory:view')) loadLowStock();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function loadLowStock() {
+  try {
+    const res = await fetch(`${API_BASE}/products/low-stock`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const items = await res.json();
+    const badge = document.getElementById('low-stock-badge');
+    badge.textContent = items.length;
+    badge.style.display = items.length ? 'inline-block' : 'none';
+    document.getElementById('low-stock-list').innerHTML = items.length ? `
+      <ul>
+        ${items.map(i => `
+          <li>
+            <strong>${i.name}</strong> (${i.category}): ${i.stock} left, reorder at ${i.threshold}
+            ${i.variants.length ? `<br><small>${i.variants.map(v => `${variantLabel(v.options)}: ${v.stock}`).join(', ')}</small>` : ''}
+          </li>
+        `).join('')}
+      </ul>
+    ` : '<p>All products are above their reorder threshold.</p>';
   } catch (err) {
     console.error(err);
   }
 }
 
+document.getElementById('category-threshold-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const category = document.getElementById('threshold-category').value;
+  const threshold = parseInt(document.getElementById('threshold-value').value);
+  try {
+    const res = await fetch(`${API_BASE}/products/low-stock/thresholds/${encodeURIComponent(category)}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ threshold })
+    });
+    if (res.ok) {
+      document.getElementById('category-threshold-form').reset();
+      loadLowStock();
+    } else {
+      const data = await res.json();
+      alert(data.message);
+    }
+  } catch (err) {
+    console.error(err);
+  }
+});
+
 async function loadOrders() {
   try {
     const res = await fetch(`${API_BASE}/orders`, {
@@ -151,16 +583,34 @@ async function loadOrders() {
     const list = document.getElementById('orders-list');
     list.innerHTML = orders.map(o => `
       <div class="order-item">
-        <p>User: ${o.user.name}</p>
-        <p>Total: $${o.total}</p>
-        <p>Status: ${o.status}</p>
-        <select onchange="updateOrderStatus('${o._id}', this.value)">
-          <option value="pending" ${o.status === 'pending' ? 'selected' : ''}>Pending</option>
-          <option value="processing" ${o.status === 'processing' ? 'selected' : ''}>Processing</option>
-          <option value="shipped" ${o.status === 'shipped' ? 'selected' : ''}>Shipped</option>
-          <option value="delivered" ${o.status === 'delivered' ? 'selected' : ''}>Delivered</option>
-          <option value="cancelled" ${o.status === 'cancelled' ? 'selected' : ''}>Cancelled</option>
-        </select>
+        <label class="checkbox-label"><input type="checkbox" class="order-select" value="${o._id}"> ${o.invoiceNumber || 'No invoice yet'}</label>
+        <p>User: ${o.user ? o.user.name : 'Deleted user'}</p>
+        <p>Placed: ${new Date(o.createdAt).toLocaleString()}</p>
+        <ul class="order-lines">
+          ${o.products.map(l => `<li>${l.quantity} x ${l.name || (l.product && l.product.name) || 'Product'}${l.options ? ' (' + variantLabel(l.options) + ')' : ''} @ GHS ${l.price}</li>`).join('')}
+        </ul>
+        ${o.discount ? `<p>Subtotal: GHS ${o.subtotal} &middot; Discount: GHS ${o.discount} (${o.promotions.map(p => p.code).join(', ')})</p>` : ''}
+        <p>${formatDelivery(o)}</p>
+        <p>Total: GHS ${o.total}</p>
+        ${o.shippingAddress && !(o.delivery && o.delivery.method === 'pickup') ? `<p>Ship to: ${formatAddress(o.shippingAddress)}</p>` : ''}
+        ${renderShipment(o)}
+        <p>Status: <span class="order-status status-${o.status}">${o.status}</span></p>
+        <p>Payment: <span class="order-status payment-${o.paymentStatus}">${o.paymentStatus}</span>${o.payment && o.payment.reference ? ` (${o.payment.provider} ${o.payment.reference})` : ''}</p>
+        ${o.payment && o.payment.issue ? `
+          <p class="payment-issue">${o.payment.issue}</p>
+          ${can('orders:update') ? `<button onclick="resolvePaymentIssue('${o._id}')">Mark Issue Resolved</button>` : ''}
+        ` : ''}
+        ${can('orders:update') && o.paymentStatus === 'paid' ? `<button onclick="refundOrder('${o._id}')">Refund</button>` : ''}
+        ${can('orders:update') && ORDER_TRANSITIONS[o.status].length ? `
+          <select id="status-${o._id}">
+            ${ORDER_TRANSITIONS[o.status].map(s => `<option value="${s}">${s.charAt(0).toUpperCase() + s.slice(1)}</option>`).join('')}
+          </select>
+          <input type="text" id="status-note-${o._id}" class="status-note" placeholder="Note (optional)">
+          <button onclick="updateOrderStatus('${o._id}')">Update Status</button>
+        ` : ''}
+        <button onclick="openOrderDocument('${o._id}', 'invoice')">Invoice</button>
+        <button onclick="openOrderDocument('${o._id}', 'packing-slip')">Packing Slip</button>
+        ${renderTimeline(o.statusHistory)}
       </div>
     `).join('');
   } catch (err) {
@@ -168,148 +618,1800 @@ async function loadOrders() {
   }
 }
 
+function formatDelivery(o) {
+  const d = o.delivery || {};
+  const label = d.method === 'pickup' ? `Pickup at ${d.zoneName}` : `Delivery${d.zoneName ? ' (' + d.zoneName + ')' : ''}`;
+  const fee = o.freeDelivery ? 'free' : `GHS ${o.deliveryFee || 0}`;
+  return `${label}: ${fee}${d.weightKg ? ` &middot; ${d.weightKg} kg` : ''}${d.estimatedDays ? ` &middot; ${d.estimatedDays} days` : ''}`;
+}
+
+// Rider/courier, tracking and proof of delivery, editable by staff who can update orders
+function renderShipment(o) {
+  const s = o.shipment || {};
+  const summary = [
+    s.carrier && `Carrier: ${s.carrier}${s.riderPhone ? ' (' + s.riderPhone + ')' : ''}`,
+    s.trackingReference && `Tracking: ${s.trackingReference}`,
+    s.proofNote && `Proof: ${s.proofNote}`
+  ].filter(Boolean).join(' &middot; ');
+  if (!can('orders:update') || o.status === 'cancelled') return summary ? `<p>${summary}</p>` : '';
+  return `
+    <div class="shipment-form inline-form">
+      <input type="text" id="shipment-carrier-${o._id}" placeholder="Rider or courier" value="${s.carrier || ''}">
+      <input type="text" id="shipment-phone-${o._id}" placeholder="Rider phone" value="${s.riderPhone || ''}">
+      <input type="text" id="shipment-tracking-${o._id}" placeholder="Tracking reference" value="${s.trackingReference || ''}">
+      <input type="text" id="shipment-proof-${o._id}" placeholder="Proof of delivery note" value="${s.proofNote || ''}">
+      <button onclick="saveShipment('${o._id}')">Save Shipment</button>
+    </div>
+  `;
+}
+
+async function saveShipment(id) {
+  const value = field => document.getElementById(`shipment-${field}-${id}`).value.trim();
+  try {
+    const res = await fetch(`${API_BASE}/orders/${id}/shipment`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({
+        carrier: value('carrier'),
+        riderPhone: value('phone'),
+        trackingReference: value('tracking'),
+        proofNote: value('proof')
+      })
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      alert(data.message);
+    }
+    loadOrders();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+function formatAddress(a) {
+  return [
+    a.recipientName, a.phone, a.street, a.landmark, a.city, a.region, a.gpsCode
+  ].filter(Boolean).join(', ');
+}
+
+// Fetch a PDF with the auth header and open it in a new tab
+async function openPdf(url, options = {}) {
+  const win = window.open('', '_blank'); // opened before the await so popup blockers allow it
+  try {
+    const res = await fetch(url, {
+      ...options,
+      headers: { ...options.headers, 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      win.close();
+      return alert((await res.json()).message);
+    }
+    win.location.href = URL.createObjectURL(await res.blob());
+  } catch (err) {
+    win.close();
+    console.error(err);
+  }
+}
+
+function openOrderDocument(id, type) {
+  openPdf(`${API_BASE}/orders/${id}/invoice${type === 'packing-slip' ? '?type=packing-slip' : ''}`);
+}
+
+document.getElementById('select-all-orders').addEventListener('change', (e) => {
+  document.querySelectorAll('.order-select').forEach(box => { box.checked = e.target.checked; });
+});
+
+document.getElementById('print-packing-slips-btn').addEventListener('click', () => {
+  const ids = Array.from(document.querySelectorAll('.order-select:checked')).map(box => box.value);
+  if (!ids.length) return alert('Select at least one order.');
+  openPdf(`${API_BASE}/orders/packing-slips`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ids })
+  });
+});
+
+// Mirrors Order.TRANSITIONS on the server
+const ORDER_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+function renderTimeline(history) {
+  if (!history || !history.length) return '';
+  return `
+    <ol class="order-timeline">
+      ${history.map(h => `
+        <li>
+          <strong>${h.to}</strong> &middot; ${new Date(h.at).toLocaleString()}
+          ${h.actor ? `<br><small>by ${h.actor.name} (${h.actor.role})</small>` : ''}
+          ${h.note ? `<br><small>${h.note}</small>` : ''}
+        </li>
+      `).join('')}
+    </ol>
+  `;
+}
+
+let activeConversation = null;
+let staffMembers = [];
+
 async function loadMessages() {
+  const params = new URLSearchParams();
+  const status = document.getElementById('inbox-status').value;
+  const assigned = document.getElementById('inbox-assigned').value;
+  if (status) params.set('status', status);
+  if (assigned) params.set('assigned', assigned);
   try {
-    const res = await fetch(`${API_BASE}/messages`, {
+    const res = await fetch(`${API_BASE}/messages?${params}`, {
       headers: { 'Authorization': `Bearer ${token}` }
     });
-    const messages = await res.json();
-    const list = document.getElementById('messages-list');
-    list.innerHTML = messages.map(m => `
-      <div class="message-item">
-        <p><strong>${m.sender}:</strong> ${m.message}</p>
-        <p>Response: ${m.response || 'No response yet'}</p>
-        <textarea placeholder="Respond" id="response-${m._id}"></textarea>
-        <button onclick="respondToMessage('${m._id}')">Respond</button>
+    const conversations = await res.json();
+    const list = document.getElementById('conversation-list');
+    list.innerHTML = conversations.map(c => `
+      <div class="conversation-item ${c._id === activeConversation ? 'active' : ''} ${c.unreadForStaff ? 'unread' : ''}"
+        onclick="openConversation('${c._id}')">
+        <div class="conversation-head">
+          <strong>${c.customer ? c.customer.name : (c.guestName || c.guestEmail) + ' (guest)'}</strong>
+          ${c.unreadForStaff ? `<span class="badge">${c.unreadForStaff}</span>` : ''}
+        </div>
+        <div>${c.subject}</div>
+        <small>${c.status}${c.assignedTo ? ' &middot; ' + c.assignedTo.name : ''} &middot; ${new Date(c.lastMessageAt).toLocaleString()}</small>
       </div>
-    `).join('');
+    `).join('') || '<p>No conversations.</p>';
+    loadUnreadCount();
   } catch (err) {
     console.error(err);
   }
 }
 
-async function updateStock(id, currentStock) {
-  const newStock = prompt('Enter new stock:', currentStock);
-  if (newStock !== null) {
-    try {
-      await fetch(`${API_BASE}/products/${id}/stock`, {
-        method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({ stock: parseInt(newStock) })
-      });
-      loadProducts();
-    } catch (err) {
-      console.error(err);
-    }
+async function loadUnreadCount() {
+  try {
+    const res = await fetch(`${API_BASE}/messages/unread-count`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const { unread } = await res.json();
+    const badge = document.getElementById('messages-badge');
+    badge.textContent = unread;
+    badge.style.display = unread ? 'inline-block' : 'none';
+  } catch (err) {
+    console.error(err);
   }
 }
 
-async function deleteProduct(id) {
-  if (confirm('Delete this product?')) {
-    try {
-      await fetch(`${API_BASE}/products/${id}`, {
-        method: 'DELETE',
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
-      loadProducts();
-    } catch (err) {
-      console.error(err);
-    }
+async function loadStaffMembers() {
+  try {
+    const res = await fetch(`${API_BASE}/auth/staff`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    staffMembers = await res.json();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function openConversation(id) {
+  activeConversation = id;
+  try {
+    const res = await fetch(`${API_BASE}/messages/${id}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const c = await res.json();
+    document.getElementById('conversation-thread').innerHTML = `
+      <div class="thread-header">
+        <h3>${c.subject}</h3>
+        <p>${c.customer ? `${c.customer.name} &lt;${c.customer.email}&gt;` : `${c.guestName || 'Guest'} &lt;${c.guestEmail || 'no email'}&gt;`}</p>
+        ${c.order ? `<p>Order: ${c.order._id} (GHS ${c.order.total}, ${c.order.status})</p>` : ''}
+        ${c.product ? `<p>Product: ${c.product.name}</p>` : ''}
+        ${can('messages:respond') ? `
+        <div class="thread-controls">
+          <select onchange="updateConversation('${c._id}', { status: this.value })">
+            ${['open', 'pending', 'closed'].map(s => `<option value="${s}" ${c.status === s ? 'selected' : ''}>${s.charAt(0).toUpperCase() + s.slice(1)}</option>`).join('')}
+          </select>
+          <select onchange="updateConversation('${c._id}', { assignedTo: this.value })">
+            <option value="">Unassigned</option>
+            ${staffMembers.map(u => `<option value="${u._id}" ${c.assignedTo && c.assignedTo._id === u._id ? 'selected' : ''}>${u.name}</option>`).join('')}
+          </select>
+        </div>
+        ` : ''}
+      </div>
+      <div class="thread-messages">
+        ${c.messages.map(m => `
+          <div class="thread-message from-${m.authorType}">
+            <div>${m.body}</div>
+            <small>${m.author ? m.author.name : (m.authorType === 'staff' ? 'Staff' : c.guestName || 'Guest')} &middot; ${new Date(m.timestamp).toLocaleString()}</small>
+          </div>
+        `).join('')}
+      </div>
+      ${can('messages:respond') ? `
+      <textarea id="reply-body" placeholder="Write a reply..."></textarea>
+      <button onclick="respondToMessage('${c._id}')">Send Reply</button>
+      ` : ''}
+    `;
+    loadMessages();
+  } catch (err) {
+    console.error(err);
   }
 }
 
-async function updateOrderStatus(id, status) {
+async function updateConversation(id, updates) {
   try {
-    await fetch(`${API_BASE}/orders/${id}/status`, {
+    await fetch(`${API_BASE}/messages/${id}`, {
       method: 'PATCH',
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${token}`
       },
-      body: JSON.stringify({ status })
+      body: JSON.stringify(updates)
     });
+    loadMessages();
   } catch (err) {
     console.error(err);
   }
 }
 
-async function respondToMessage(id) {
-  const response = document.getElementById(`response-${id}`).value;
+document.getElementById('inbox-status').addEventListener('change', loadMessages);
+document.getElementById('inbox-assigned').addEventListener('change', loadMessages);
+
+async function updateStock(id) {
+  const variantSelect = document.getElementById(`movement-variant-${id}`);
+  const body = {
+    type: document.getElementById(`movement-type-${id}`).value,
+    quantity: parseInt(document.getElementById(`movement-qty-${id}`).value),
+    reason: document.getElementById(`movement-reason-${id}`).value.trim(),
+    variant: variantSelect ? variantSelect.value : undefined
+  };
   try {
-    await fetch(`${API_BASE}/messages/${id}/respond`, {
-      method: 'PATCH',
+    const res = await fetch(`${API_BASE}/products/${id}/movements`, {
+      method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${token}`
       },
-      body: JSON.stringify({ response })
+      body: JSON.stringify(body)
     });
-    loadMessages();
+    if (!res.ok) {
+      const data = await res.json();
+      alert(data.message);
+    }
+    loadProducts();
   } catch (err) {
     console.error(err);
   }
 }
 
-async function loadUsers() {
+async function toggleStockHistory(id) {
+  const container = document.getElementById(`stock-history-${id}`);
+  if (container.style.display === 'block') {
+    container.style.display = 'none';
+    return;
+  }
   try {
-    const res = await fetch(`${API_BASE}/auth/users`, {
+    const res = await fetch(`${API_BASE}/products/${id}/movements`, {
       headers: { 'Authorization': `Bearer ${token}` }
     });
-    const users = await res.json();
-    const list = document.getElementById('users-list');
-    list.innerHTML = users.map(u => `
-      <div class="user-item">
-        <h3>${u.name} (${u.role})</h3>
-        <p>${u.email}</p>
-        <button onclick="deleteUser('${u._id}')">Delete</button>
-      </div>
-    `).join('');
+    const movements = await res.json();
+    container.innerHTML = movements.length ? `
+      <table class="variant-table">
+        <thead><tr><th>Date</th><th>Type</th><th>Qty</th><th>After</th><th>By</th><th>Reason</th></tr></thead>
+        <tbody>
+          ${movements.map(m => `
+            <tr>
+              <td>${new Date(m.createdAt).toLocaleString()}</td>
+              <td>${m.type}</td>
+              <td>${m.quantity > 0 ? '+' : ''}${m.quantity}</td>
+              <td>${m.stockAfter}</td>
+              <td>${m.actor ? m.actor.name : ''}</td>
+              <td>${m.reason || (m.order ? 'Order ' + m.order : '')}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    ` : '<p>No stock movements yet.</p>';
+    container.style.display = 'block';
   } catch (err) {
     console.error(err);
   }
 }
 
-async function deleteUser(id) {
-  if (confirm('Delete this user?')) {
-    try {
-      await fetch(`${API_BASE}/auth/users/${id}`, {
-        method: 'DELETE',
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
-      loadUsers();
-    } catch (err) {
-      console.error(err);
-    }
+// Edit modal state: the main image and the gallery order as the user rearranges them
+let editState = null;
+
+async function openEditProduct(id) {
+  try {
+    const res = await fetch(`${API_BASE}/products/${id}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const p = await res.json();
+    editState = { id, image: p.image || '', media: [...(p.additionalMedia || [])] };
+
+    const categorySelect = document.getElementById('edit-product-category');
+    categorySelect.innerHTML = document.getElementById('product-category').innerHTML;
+
+    document.getElementById('edit-product-form').reset();
+    document.getElementById('edit-product-name').value = p.name;
+    document.getElementById('edit-product-sku').value = p.sku || '';
+    document.getElementById('edit-product-short-description').value = p.shortDescription;
+    document.getElementById('edit-product-long-description').value = p.longDescription || '';
+    document.getElementById('edit-product-brand').value = p.brand || '';
+    document.getElementById('edit-product-colors').value = (p.colors || []).join(', ');
+    document.getElementById('edit-product-sizes').value = (p.sizes || []).join(', ');
+    document.getElementById('edit-product-price').value = p.price;
+    document.getElementById('edit-product-stock').textContent = p.stock;
+    document.getElementById('edit-product-low-stock-threshold').value = p.lowStockThreshold ?? '';
+    document.getElementById('edit-product-weight').value = p.weightKg ?? '';
+    categorySelect.value = p.categoryInfo ? p.categoryInfo._id : '';
+    document.getElementById('edit-product-wholesale').checked = p.isWholesale;
+    document.getElementById('edit-product-moq').value = p.minOrderQty || 1;
+    document.getElementById('edit-product-price-tiers').value = (p.priceTiers || []).map(t => `${t.minQty}:${t.price}`).join(', ');
+    document.getElementById('edit-variant-matrix').innerHTML = p.variants && p.variants.length
+      ? variantMatrixTable(p.variants)
+      : '';
+    renderEditMedia();
+    document.getElementById('edit-product-modal').style.display = 'block';
+  } catch (err) {
+    console.error(err);
   }
 }
 
-function loadProfile() {
-  const user = JSON.parse(localStorage.getItem('user'));
-  document.getElementById('profile-info').innerHTML = `
-    <div class="profile-card">
-      <div class="profile-avatar">
-        <div class="avatar-circle">${user.name.charAt(0).toUpperCase()}</div>
-      </div>
-      <div class="profile-details">
-        <h3>${user.name}</h3>
+function closeEditProduct() {
+  document.getElementById('edit-product-modal').style.display = 'none';
+  editState = null;
+}
+
+function mediaPreview(url) {
+  return /\.(mp4|webm|mov)$/i.test(url) ? `<video src="${url}" muted></video>` : `<img src="${url}" alt="">`;
+}
+
+function renderEditMedia() {
+  document.getElementById('edit-main-image').innerHTML = editState.image ? `
+    <div class="media-tile">
+      ${mediaPreview(editState.image)}
+      <button type="button" onclick="removeMainImage()">Remove</button>
+    </div>
+  ` : '<p>No main image.</p>';
+  document.getElementById('edit-media-list').innerHTML = editState.media.map((url, i) => `
+    <div class="media-tile">
+      ${mediaPreview(url)}
+      <button type="button" onclick="moveMedia(${i}, -1)" ${i === 0 ? 'disabled' : ''}>&uarr;</button>
+      <button type="button" onclick="moveMedia(${i}, 1)" ${i === editState.media.length - 1 ? 'disabled' : ''}>&darr;</button>
+      ${/\.(mp4|webm|mov)$/i.test(url) ? '' : `<button type="button" onclick="makeMainImage(${i})">Make Main</button>`}
+      <button type="button" onclick="removeMedia(${i})">Remove</button>
+    </div>
+  `).join('') || '<p>No additional media.</p>';
+}
+
+function moveMedia(index, direction) {
+  const [item] = editState.media.splice(index, 1);
+  editState.media.splice(index + direction, 0, item);
+  renderEditMedia();
+}
+
+function removeMedia(index) {
+  editState.media.splice(index, 1);
+  renderEditMedia();
+}
+
+function removeMainImage() {
+  editState.image = '';
+  renderEditMedia();
+}
+
+// Swap a gallery image with the main image
+function makeMainImage(index) {
+  const chosen = editState.media[index];
+  if (editState.image) editState.media[index] = editState.image;
+  else editState.media.splice(index, 1);
+  editState.image = chosen;
+  renderEditMedia();
+}
+
+document.getElementById('edit-product-close').addEventListener('click', closeEditProduct);
+
+document.getElementById('edit-generate-variants-btn').addEventListener('click', () => {
+  renderVariantMatrix('edit-variant-matrix', 'edit-product');
+});
+
+document.getElementById('edit-product-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const formData = new FormData();
+  formData.append('name', document.getElementById('edit-product-name').value);
+  formData.append('sku', document.getElementById('edit-product-sku').value.trim());
+  formData.append('shortDescription', document.getElementById('edit-product-short-description').value);
+  formData.append('longDescription', document.getElementById('edit-product-long-description').value);
+  formData.append('brand', document.getElementById('edit-product-brand').value);
+  formData.append('colors', JSON.stringify(splitList(document.getElementById('edit-product-colors').value)));
+  formData.append('sizes', JSON.stringify(splitList(document.getElementById('edit-product-sizes').value)));
+  formData.append('price', parseFloat(document.getElementById('edit-product-price').value));
+  formData.append('lowStockThreshold', document.getElementById('edit-product-low-stock-threshold').value);
+  formData.append('weightKg', document.getElementById('edit-product-weight').value);
+  formData.append('category', document.getElementById('edit-product-category').value);
+  formData.append('isWholesale', document.getElementById('edit-product-wholesale').checked);
+  formData.append('minOrderQty', parseInt(document.getElementById('edit-product-moq').value) || 1);
+  formData.append('priceTiers', JSON.stringify(parsePriceTiers(document.getElementById('edit-product-price-tiers').value)));
+
+  const newImage = document.getElementById('edit-product-image').files[0];
+  if (newImage) formData.append('image', newImage);
+  else formData.append('imageUrl', editState.image);
+  const newMedia = document.getElementById('edit-product-additional-media').files;
+  const mediaOrder = [...editState.media];
+  for (let i = 0; i < newMedia.length; i++) {
+    formData.append('additionalMedia', newMedia[i]);
+    mediaOrder.push(`new:${i}`);
+  }
+  formData.append('mediaOrder', JSON.stringify(mediaOrder));
+  appendVariants(formData, collectVariantMatrix('edit-variant-matrix'));
+
+  try {
+    const res = await fetch(`${API_BASE}/products/${editState.id}`, {
+      method: 'PUT',
+      headers: { 'Authorization': `Bearer ${token}` },
+      body: formData
+    });
+    if (res.ok) {
+      closeEditProduct();
+      loadProducts();
+    } else {
+      const data = await res.json();
+      alert(data.message);
+    }
+  } catch (err) {
+    console.error(err);
+  }
+});
+
+async function deleteProduct(id) {
+  if (confirm('Delete this product?')) {
+    try {
+      await fetch(`${API_BASE}/products/${id}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      loadProducts();
+    } catch (err) {
+      console.error(err);
+    }
+  }
+}
+
+async function updateOrderStatus(id) {
+  const status = document.getElementById(`status-${id}`).value;
+  const note = document.getElementById(`status-note-${id}`).value.trim();
+  try {
+    const res = await fetch(`${API_BASE}/orders/${id}/status`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ status, note })
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      alert(data.message);
+    }
+    loadOrders();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function refundOrder(id) {
+  const reason = prompt('Refund the full amount to the customer? Reason (optional):');
+  if (reason === null) return;
+  try {
+    const res = await fetch(`${API_BASE}/payments/orders/${id}/refund`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ reason })
+    });
+    alert((await res.json()).message);
+    loadOrders();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function resolvePaymentIssue(id) {
+  const note = prompt('How was it resolved (e.g. refunded in the Paystack dashboard)?');
+  if (note === null) return;
+  try {
+    const res = await fetch(`${API_BASE}/payments/orders/${id}/issue`, {
+      method: 'DELETE',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ note })
+    });
+    alert((await res.json()).message);
+    loadOrders();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function respondToMessage(id) {
+  const message = document.getElementById('reply-body').value.trim();
+  if (!message) return;
+  try {
+    await fetch(`${API_BASE}/messages/${id}/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ message })
+    });
+    openConversation(id);
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+// Flat list of { _id, name, slug, label, depth, ... } in tree order; label is the full path
+let categories = [];
+let categoryTree = [];
+
+function flattenCategories(nodes, path = [], depth = 0) {
+  return nodes.flatMap(node => [
+    { ...node, label: [...path, node.name].join(' > '), depth },
+    ...flattenCategories(node.children, [...path, node.name], depth + 1)
+  ]);
+}
+
+// Replace a select's options with the categories, keeping its first (placeholder) option
+function fillCategorySelect(select, { exclude } = {}) {
+  const selected = Array.from(select.selectedOptions).map(o => o.value);
+  const placeholder = select.options[0] && !select.multiple ? select.options[0] : null;
+  select.innerHTML = '';
+  if (placeholder) select.add(placeholder);
+  categories
+    .filter(c => !exclude || (c._id !== exclude && !c.ancestors.includes(exclude)))
+    .forEach(c => select.add(new Option(c.label, c._id, false, selected.includes(c._id))));
+}
+
+async function loadCategories() {
+  try {
+    const res = await fetch(`${API_BASE}/categories`);
+    categoryTree = await res.json();
+    categories = flattenCategories(categoryTree);
+    ['product-category', 'threshold-category', 'promotion-categories', 'category-parent']
+      .forEach(id => fillCategorySelect(document.getElementById(id)));
+    if (can('products:write')) renderCategoryTree();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+function renderCategoryTree() {
+  const renderList = (nodes, parent) => `
+    <ul class="category-tree" data-parent="${parent || ''}">
+      ${nodes.map(c => `
+        <li draggable="true" data-id="${c._id}">
+          <div class="category-row">
+            <span class="drag-handle">&#8942;&#8942;</span>
+            ${c.image ? `<img src="${c.image}" alt="">` : ''}
+            <strong>${c.name}</strong>
+            <small>/${c.slug} &middot; ${c.productCount} products${c.featured ? ' &middot; featured' : ''}</small>
+            <button onclick="editCategory('${c._id}')">Edit</button>
+            <button class="delete-btn" onclick="deleteCategory('${c._id}')">Delete</button>
+          </div>
+          ${c.children.length ? renderList(c.children, c._id) : ''}
+        </li>
+      `).join('')}
+    </ul>
+  `;
+  document.getElementById('categories-tree').innerHTML = categoryTree.length
+    ? renderList(categoryTree)
+    : '<p>No categories yet.</p>';
+}
+
+// Drag and drop only moves a category among its siblings; use Edit to change its parent
+let draggedCategory = null;
+let orderBeforeDrag = '';
+
+const siblingIds = list => Array.from(list.children).map(li => li.dataset.id);
+
+document.getElementById('categories-tree').addEventListener('dragstart', (e) => {
+  draggedCategory = e.target.closest('li[data-id]');
+  if (!draggedCategory) return;
+  orderBeforeDrag = siblingIds(draggedCategory.parentElement).join();
+  draggedCategory.classList.add('dragging');
+  e.dataTransfer.effectAllowed = 'move';
+});
+
+document.getElementById('categories-tree').addEventListener('dragover', (e) => {
+  if (!draggedCategory) return;
+  let target = e.target.closest('li[data-id]');
+  while (target && target.parentElement !== draggedCategory.parentElement) {
+    target = target.parentElement.closest('li[data-id]');
+  }
+  if (!target) return;
+  e.preventDefault();
+  if (target === draggedCategory) return;
+  const rect = target.getBoundingClientRect();
+  const after = e.clientY > rect.top + rect.height / 2;
+  target.parentElement.insertBefore(draggedCategory, after ? target.nextSibling : target);
+});
+
+document.getElementById('categories-tree').addEventListener('dragend', async () => {
+  if (!draggedCategory) return;
+  const list = draggedCategory.parentElement;
+  draggedCategory.classList.remove('dragging');
+  draggedCategory = null;
+  const ids = siblingIds(list);
+  if (ids.join() === orderBeforeDrag) return;
+  try {
+    const res = await fetch(`${API_BASE}/categories/order`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ ids })
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      alert(data.message);
+    }
+    loadCategories();
+  } catch (err) {
+    console.error(err);
+  }
+});
+
+function resetCategoryForm() {
+  document.getElementById('category-form').reset();
+  document.getElementById('category-id').value = '';
+  document.getElementById('category-form-title').textContent = 'New Category';
+  fillCategorySelect(document.getElementById('category-parent'));
+}
+
+document.getElementById('category-reset-btn').addEventListener('click', resetCategoryForm);
+
+function editCategory(id) {
+  const c = categories.find(cat => cat._id === id);
+  document.getElementById('category-form-title').textContent = `Edit ${c.name}`;
+  document.getElementById('category-id').value = c._id;
+  document.getElementById('category-name').value = c.name;
+  document.getElementById('category-slug').value = c.slug;
+  // A category can't move under itself or its own subcategories
+  const parentSelect = document.getElementById('category-parent');
+  fillCategorySelect(parentSelect, { exclude: c._id });
+  parentSelect.value = c.parent || '';
+  document.getElementById('category-description').value = c.description || '';
+  document.getElementById('category-featured').checked = c.featured;
+  document.getElementById('category-form').scrollIntoView({ behavior: 'smooth' });
+}
+
+document.getElementById('category-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const id = document.getElementById('category-id').value;
+  const formData = new FormData();
+  formData.append('name', document.getElementById('category-name').value);
+  formData.append('slug', document.getElementById('category-slug').value.trim());
+  formData.append('parent', document.getElementById('category-parent').value);
+  formData.append('description', document.getElementById('category-description').value);
+  formData.append('featured', document.getElementById('category-featured').checked);
+  const image = document.getElementById('category-image').files[0];
+  if (image) formData.append('image', image);
+  try {
+    const res = await fetch(`${API_BASE}/categories${id ? '/' + id : ''}`, {
+      method: id ? 'PUT' : 'POST',
+      headers: { 'Authorization': `Bearer ${token}` },
+      body: formData
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      return alert(data.message);
+    }
+    resetCategoryForm();
+    loadCategories();
+  } catch (err) {
+    console.error(err);
+  }
+});
+
+async function deleteCategory(id) {
+  if (!confirm('Delete this category?')) return;
+  try {
+    const res = await fetch(`${API_BASE}/categories/${id}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      alert(data.message);
+    }
+    loadCategories();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+let promotions = [];
+
+// What a promotion does, in one line
+function describePromotion(p) {
+  const scope = [...p.scope.categories.map(c => c.name), ...p.scope.products.map(prod => prod.name)].join(', ');
+  const offer = {
+    percentage: `${p.value}% off`,
+    fixed: `GHS ${p.value} off`,
+    free_delivery: 'Free delivery',
+    bxgy: `Buy ${p.buyQty} get ${p.getQty} ${p.getDiscount === 100 ? 'free' : p.getDiscount + '% off'}`
+  }[p.type];
+  return `${offer}${scope ? ' on ' + scope : ''}${p.minSpend ? ` (min spend GHS ${p.minSpend})` : ''}`;
+}
+
+// datetime-local inputs want local time without a zone
+function toLocalInput(date) {
+  if (!date) return '';
+  const d = new Date(date);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+async function loadPromotions() {
+  try {
+    const res = await fetch(`${API_BASE}/promotions`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    promotions = await res.json();
+    document.getElementById('promotions-list').innerHTML = promotions.map(p => `
+      <div class="promotion-item ${p.active ? '' : 'inactive'}">
+        <h3>${p.code} ${p.active ? '' : '<small>(inactive)</small>'}</h3>
+        ${p.description ? `<p>${p.description}</p>` : ''}
+        <p>${describePromotion(p)}${p.stackable ? ' &middot; stackable' : ''}</p>
+        <p><small>
+          ${p.startsAt ? 'From ' + new Date(p.startsAt).toLocaleString() : 'No start date'} &middot;
+          ${p.endsAt ? 'until ' + new Date(p.endsAt).toLocaleString() : 'no end date'}
+        </small></p>
+        <p><strong>Used:</strong> ${p.redemptionCount}${p.usageLimit ? ' / ' + p.usageLimit : ''}${p.perCustomerLimit ? ` (max ${p.perCustomerLimit} per customer)` : ''}</p>
+        <p><strong>Redemptions:</strong> ${p.stats.orders} orders by ${p.stats.customers} customers &middot;
+          GHS ${p.stats.discountGiven} discounted &middot; GHS ${p.stats.revenue} revenue</p>
+        <button onclick="editPromotion('${p._id}')">Edit</button>
+        <button onclick="savePromotion('${p._id}', { active: ${!p.active} })">${p.active ? 'Deactivate' : 'Activate'}</button>
+        <button class="delete-btn" onclick="deletePromotion('${p._id}')">Delete</button>
+      </div>
+    `).join('') || '<p>No promotions yet.</p>';
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+function showPromotionFields() {
+  const type = document.getElementById('promotion-type').value;
+  document.getElementById('promotion-bxgy').style.display = type === 'bxgy' ? 'flex' : 'none';
+  document.getElementById('promotion-value').style.display = ['percentage', 'fixed'].includes(type) ? '' : 'none';
+}
+
+document.getElementById('promotion-type').addEventListener('change', showPromotionFields);
+
+function resetPromotionForm() {
+  document.getElementById('promotion-form').reset();
+  document.getElementById('promotion-id').value = '';
+  document.getElementById('promotion-form-title').textContent = 'New Promotion';
+  showPromotionFields();
+}
+
+document.getElementById('promotion-reset-btn').addEventListener('click', resetPromotionForm);
+
+function editPromotion(id) {
+  const p = promotions.find(promo => promo._id === id);
+  document.getElementById('promotion-form-title').textContent = `Edit ${p.code}`;
+  document.getElementById('promotion-id').value = p._id;
+  document.getElementById('promotion-code').value = p.code;
+  document.getElementById('promotion-description').value = p.description || '';
+  document.getElementById('promotion-type').value = p.type;
+  document.getElementById('promotion-value').value = p.value || '';
+  document.getElementById('promotion-buy-qty').value = p.buyQty || '';
+  document.getElementById('promotion-get-qty').value = p.getQty || '';
+  document.getElementById('promotion-get-discount').value = p.getDiscount ?? '';
+  Array.from(document.getElementById('promotion-categories').options).forEach(o => {
+    o.selected = p.scope.categories.some(c => c._id === o.value);
+  });
+  document.getElementById('promotion-products').value = p.scope.products.map(prod => prod._id).join(', ');
+  document.getElementById('promotion-min-spend').value = p.minSpend || '';
+  document.getElementById('promotion-usage-limit').value = p.usageLimit || '';
+  document.getElementById('promotion-customer-limit').value = p.perCustomerLimit || '';
+  document.getElementById('promotion-starts').value = toLocalInput(p.startsAt);
+  document.getElementById('promotion-ends').value = toLocalInput(p.endsAt);
+  document.getElementById('promotion-stackable').checked = p.stackable;
+  document.getElementById('promotion-active').checked = p.active;
+  showPromotionFields();
+  document.getElementById('promotion-form').scrollIntoView({ behavior: 'smooth' });
+}
+
+async function savePromotion(id, body) {
+  try {
+    const res = await fetch(`${API_BASE}/promotions${id ? '/' + id : ''}`, {
+      method: id ? 'PUT' : 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(body)
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      alert(data.message);
+      return false;
+    }
+    loadPromotions();
+    return true;
+  } catch (err) {
+    console.error(err);
+    return false;
+  }
+}
+
+document.getElementById('promotion-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const value = id => document.getElementById(id).value;
+  const dateValue = id => (value(id) ? new Date(value(id)).toISOString() : '');
+  const saved = await savePromotion(value('promotion-id'), {
+    code: value('promotion-code'),
+    description: value('promotion-description'),
+    type: value('promotion-type'),
+    value: value('promotion-value'),
+    buyQty: value('promotion-buy-qty'),
+    getQty: value('promotion-get-qty'),
+    getDiscount: value('promotion-get-discount') || 100,
+    scope: {
+      categories: Array.from(document.getElementById('promotion-categories').selectedOptions).map(o => o.value),
+      products: splitList(value('promotion-products'))
+    },
+    minSpend: value('promotion-min-spend') || 0,
+    usageLimit: value('promotion-usage-limit'),
+    perCustomerLimit: value('promotion-customer-limit'),
+    startsAt: dateValue('promotion-starts'),
+    endsAt: dateValue('promotion-ends'),
+    stackable: document.getElementById('promotion-stackable').checked,
+    active: document.getElementById('promotion-active').checked
+  });
+  if (saved) resetPromotionForm();
+});
+
+async function deletePromotion(id) {
+  if (!confirm('Delete this promotion?')) return;
+  try {
+    const res = await fetch(`${API_BASE}/promotions/${id}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      alert(data.message);
+    }
+    loadPromotions();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+// Mirrors GHANA_REGIONS in models/Address.js
+const GHANA_REGIONS = [
+  'Ahafo', 'Ashanti', 'Bono', 'Bono East', 'Central', 'Eastern', 'Greater Accra', 'North East',
+  'Northern', 'Oti', 'Savannah', 'Upper East', 'Upper West', 'Volta', 'Western', 'Western North'
+];
+
+let zones = [];
+
+function initDelivery() {
+  const select = document.getElementById('zone-regions');
+  GHANA_REGIONS.forEach(r => select.add(new Option(r, r)));
+  loadZones();
+}
+
+function describeZone(z) {
+  const where = z.method === 'pickup'
+    ? `Pickup at ${z.pickupAddress}`
+    : `${z.cities.length ? z.cities.join(', ') + ' in ' : ''}${z.regions.join(', ')}`;
+  const fee = z.feeType === 'weight'
+    ? `GHS ${z.fee} for up to ${z.includedKg} kg, then GHS ${z.perKgFee}/kg`
+    : (z.fee ? `GHS ${z.fee}` : 'Free');
+  return `${where} &middot; ${fee}${z.estimatedDays ? ` &middot; ${z.estimatedDays} days` : ''}`;
+}
+
+async function loadZones() {
+  try {
+    const res = await fetch(`${API_BASE}/delivery/zones`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    zones = await res.json();
+    document.getElementById('zones-list').innerHTML = zones.map(z => `
+      <div class="zone-item ${z.active ? '' : 'inactive'}">
+        <h3>${z.name} <small>(${z.method === 'pickup' ? 'pickup point' : 'delivery'}${z.active ? '' : ', inactive'})</small></h3>
+        <p>${describeZone(z)}</p>
+        <button onclick="editZone('${z._id}')">Edit</button>
+        <button onclick="saveZone('${z._id}', { active: ${!z.active} })">${z.active ? 'Deactivate' : 'Activate'}</button>
+        <button class="delete-btn" onclick="deleteZone('${z._id}')">Delete</button>
+      </div>
+    `).join('') || '<p>No delivery zones yet. Until one is added, delivery is free everywhere.</p>';
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+function showZoneFields() {
+  const pickup = document.getElementById('zone-method').value === 'pickup';
+  document.getElementById('zone-delivery-fields').style.display = pickup ? 'none' : '';
+  document.getElementById('zone-pickup-address').style.display = pickup ? '' : 'none';
+  document.getElementById('zone-weight-fields').style.display =
+    document.getElementById('zone-fee-type').value === 'weight' ? 'flex' : 'none';
+}
+
+document.getElementById('zone-method').addEventListener('change', showZoneFields);
+document.getElementById('zone-fee-type').addEventListener('change', showZoneFields);
+
+function resetZoneForm() {
+  document.getElementById('zone-form').reset();
+  document.getElementById('zone-id').value = '';
+  document.getElementById('zone-form-title').textContent = 'New Zone';
+  showZoneFields();
+}
+
+document.getElementById('zone-reset-btn').addEventListener('click', resetZoneForm);
+
+function editZone(id) {
+  const z = zones.find(zone => zone._id === id);
+  document.getElementById('zone-form-title').textContent = `Edit ${z.name}`;
+  document.getElementById('zone-id').value = z._id;
+  document.getElementById('zone-name').value = z.name;
+  document.getElementById('zone-method').value = z.method;
+  Array.from(document.getElementById('zone-regions').options).forEach(o => {
+    o.selected = z.regions.includes(o.value);
+  });
+  document.getElementById('zone-cities').value = z.cities.join(', ');
+  document.getElementById('zone-pickup-address').value = z.pickupAddress || '';
+  document.getElementById('zone-fee-type').value = z.feeType;
+  document.getElementById('zone-fee').value = z.fee;
+  document.getElementById('zone-included-kg').value = z.includedKg || '';
+  document.getElementById('zone-per-kg-fee').value = z.perKgFee || '';
+  document.getElementById('zone-estimated-days').value = z.estimatedDays || '';
+  document.getElementById('zone-active').checked = z.active;
+  showZoneFields();
+  document.getElementById('zone-form').scrollIntoView({ behavior: 'smooth' });
+}
+
+async function saveZone(id, body) {
+  try {
+    const res = await fetch(`${API_BASE}/delivery/zones${id ? '/' + id : ''}`, {
+      method: id ? 'PUT' : 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(body)
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      alert(data.message);
+      return false;
+    }
+    loadZones();
+    return true;
+  } catch (err) {
+    console.error(err);
+    return false;
+  }
+}
+
+document.getElementById('zone-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const value = id => document.getElementById(id).value;
+  const saved = await saveZone(value('zone-id'), {
+    name: value('zone-name'),
+    method: value('zone-method'),
+    regions: Array.from(document.getElementById('zone-regions').selectedOptions).map(o => o.value),
+    cities: splitList(value('zone-cities')),
+    pickupAddress: value('zone-pickup-address'),
+    feeType: value('zone-fee-type'),
+    fee: value('zone-fee') || 0,
+    includedKg: value('zone-included-kg') || 0,
+    perKgFee: value('zone-per-kg-fee') || 0,
+    estimatedDays: value('zone-estimated-days'),
+    active: document.getElementById('zone-active').checked
+  });
+  if (saved) resetZoneForm();
+});
+
+async function deleteZone(id) {
+  if (!confirm('Delete this zone? Existing orders keep their fee.')) return;
+  try {
+    const res = await fetch(`${API_BASE}/delivery/zones/${id}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      alert(data.message);
+    }
+    loadZones();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+let placements = [];
+
+const SECTION_RULES = {
+  'new-arrivals': s => `Pins first, then products added in the last ${s.newArrivalDays} days, newest first.`,
+  'fast-selling': s => `Pins first, then the ${s.fastSellingLimit} best sellers of the last ${s.fastSellingDays} days, recomputed every ${s.refreshMinutes} minutes.`,
+  'shop-by-category': () => 'Pinned products only.'
+};
+
+function placementState(p) {
+  const now = new Date();
+  if (p.startsAt && new Date(p.startsAt) > now) return 'scheduled';
+  if (p.endsAt && new Date(p.endsAt) <= now) return 'expired';
+  return 'live';
+}
+
+async function loadMerchandising() {
+  const section = document.getElementById('merch-section').value;
+  try {
+    const headers = { 'Authorization': `Bearer ${token}` };
+    const [sectionsRes, placementsRes] = await Promise.all([
+      fetch(`${API_BASE}/merchandising/sections`, { headers }),
+      fetch(`${API_BASE}/merchandising/placements?section=${section}`, { headers })
+    ]);
+    const { settings, sections } = await sectionsRes.json();
+    placements = await placementsRes.json();
+
+    document.getElementById('merch-rule').textContent = SECTION_RULES[section](settings);
+    document.getElementById('section-preview').innerHTML = sections[section].map(e => `
+      <li>${e.product.name} <span class="source-badge source-${e.source}">${e.source === 'pin' ? 'Pinned' : 'Automatic'}</span></li>
+    `).join('') || '<p>Nothing in this section right now.</p>';
+
+    const pins = placements.filter(p => p.action === 'pin');
+    document.getElementById('placements-list').innerHTML = placements.map(p => {
+      const index = pins.indexOf(p);
+      return `
+        <div class="placement-item ${placementState(p)}">
+          <h3>${p.product ? p.product.name : 'Deleted product'} <small>(${p.action === 'pin' ? 'pinned' : 'hidden'}, ${placementState(p)})</small></h3>
+          <p>${p.startsAt ? new Date(p.startsAt).toLocaleString() : 'Now'} &ndash; ${p.endsAt ? new Date(p.endsAt).toLocaleString() : 'no end'}${p.note ? ` &middot; ${p.note}` : ''}</p>
+          ${index >= 0 ? `
+            <button onclick="movePlacement(${index}, -1)" ${index === 0 ? 'disabled' : ''}>Up</button>
+            <button onclick="movePlacement(${index}, 1)" ${index === pins.length - 1 ? 'disabled' : ''}>Down</button>
+          ` : ''}
+          <button onclick="editPlacement('${p._id}')">Edit</button>
+          <button class="delete-btn" onclick="deletePlacement('${p._id}')">Remove</button>
+        </div>
+      `;
+    }).join('') || '<p>No placements in this section.</p>';
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+document.getElementById('merch-section').addEventListener('change', () => {
+  resetPlacementForm();
+  loadMerchandising();
+});
+
+async function movePlacement(index, direction) {
+  const ids = placements.filter(p => p.action === 'pin').map(p => p._id);
+  [ids[index], ids[index + direction]] = [ids[index + direction], ids[index]];
+  try {
+    const res = await fetch(`${API_BASE}/merchandising/placements/order`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ section: document.getElementById('merch-section').value, ids })
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      alert(data.message);
+    }
+    loadMerchandising();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+function resetPlacementForm() {
+  document.getElementById('placement-form').reset();
+  document.getElementById('placement-id').value = '';
+  document.getElementById('placement-product').disabled = false;
+  document.getElementById('placement-form-title').textContent = 'Pin or Hide a Product';
+}
+
+document.getElementById('placement-reset-btn').addEventListener('click', resetPlacementForm);
+
+function editPlacement(id) {
+  const p = placements.find(placement => placement._id === id);
+  document.getElementById('placement-form-title').textContent = `Edit ${p.product ? p.product.name : 'placement'}`;
+  document.getElementById('placement-id').value = p._id;
+  document.getElementById('placement-product').value = p.product ? p.product._id : '';
+  document.getElementById('placement-product').disabled = true;
+  document.getElementById('placement-action').value = p.action;
+  document.getElementById('placement-starts').value = toLocalInput(p.startsAt);
+  document.getElementById('placement-ends').value = toLocalInput(p.endsAt);
+  document.getElementById('placement-note').value = p.note || '';
+  document.getElementById('placement-form').scrollIntoView({ behavior: 'smooth' });
+}
+
+document.getElementById('placement-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const value = id => document.getElementById(id).value;
+  const id = value('placement-id');
+  const toDate = v => (v ? new Date(v).toISOString() : '');
+  const body = {
+    action: value('placement-action'),
+    startsAt: toDate(value('placement-starts')),
+    endsAt: toDate(value('placement-ends')),
+    note: value('placement-note')
+  };
+  if (!id) Object.assign(body, { section: value('merch-section'), product: value('placement-product').trim() });
+  try {
+    const res = await fetch(`${API_BASE}/merchandising/placements${id ? '/' + id : ''}`, {
+      method: id ? 'PUT' : 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(body)
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      alert(data.message);
+      return;
+    }
+    resetPlacementForm();
+    loadMerchandising();
+  } catch (err) {
+    console.error(err);
+  }
+});
+
+async function deletePlacement(id) {
+  if (!confirm('Remove this placement? The product goes back to the automatic rules.')) return;
+  try {
+    const res = await fetch(`${API_BASE}/merchandising/placements/${id}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      alert(data.message);
+    }
+    loadMerchandising();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+document.getElementById('refresh-fast-selling-btn').addEventListener('click', async () => {
+  try {
+    const res = await fetch(`${API_BASE}/merchandising/fast-selling/refresh`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const data = await res.json();
+    alert(data.message);
+    loadMerchandising();
+  } catch (err) {
+    console.error(err);
+  }
+});
+
+let reviewsPage = 1;
+
+// Review text comes straight from customers, so it's escaped before going into the page
+const escapeHtml = s => String(s || '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+const stars = rating => '★'.repeat(rating) + '☆'.repeat(5 - rating);
+
+async function loadReviews(page = reviewsPage) {
+  reviewsPage = page;
+  const params = new URLSearchParams({ page, limit: 20, status: document.getElementById('reviews-status').value });
+  const rating = document.getElementById('reviews-rating').value;
+  if (rating) params.set('rating', rating);
+  try {
+    const res = await fetch(`${API_BASE}/reviews?${params}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const data = await res.json();
+    if (!res.ok) return alert(data.message);
+    document.getElementById('reviews-list').innerHTML = data.reviews.map(r => `
+      <div class="review-item review-${r.status}">
+        <h3>${r.product ? r.product.name : 'Deleted product'} <span class="review-stars">${stars(r.rating)}</span></h3>
+        <p><small>${r.user ? `${escapeHtml(r.user.name)} (${r.user.email})` : 'Deleted user'}
+          &middot; ${r.order ? r.order.invoiceNumber : ''} &middot; ${new Date(r.createdAt).toLocaleString()}
+          &middot; ${r.status}${r.moderatedBy ? ` by ${r.moderatedBy.name}` : ''}</small></p>
+        ${r.title ? `<strong>${escapeHtml(r.title)}</strong>` : ''}
+        <p>${escapeHtml(r.body)}</p>
+        ${r.rejectionReason ? `<p><small>Rejected: ${escapeHtml(r.rejectionReason)}</small></p>` : ''}
+        ${r.photos.length ? `<div class="review-photos">${r.photos.map(url => `
+          <a href="${url}" target="_blank"><img src="${url}" alt="Customer photo"></a>`).join('')}</div>` : ''}
+        <textarea id="reply-${r._id}" placeholder="Public reply from the store">${escapeHtml(r.reply && r.reply.body)}</textarea>
+        ${r.reply && r.reply.body ? `<p><small>Replied by ${r.reply.author ? r.reply.author.name : 'staff'} on ${new Date(r.reply.at).toLocaleString()}</small></p>` : ''}
+        <button onclick="saveReviewReply('${r._id}')">Save Reply</button>
+        ${r.status !== 'approved' ? `<button onclick="moderateReview('${r._id}', 'approved')">Approve</button>` : ''}
+        ${r.status !== 'rejected' ? `<button onclick="moderateReview('${r._id}', 'rejected')">Reject</button>` : ''}
+        <button class="delete-btn" onclick="deleteReview('${r._id}')">Delete</button>
+      </div>
+    `).join('') || '<p>No reviews match these filters.</p>';
+    document.getElementById('reviews-pager').innerHTML = data.totalPages > 1 ? `
+      <button ${data.page <= 1 ? 'disabled' : ''} onclick="loadReviews(${data.page - 1})">Previous</button>
+      <span>Page ${data.page} of ${data.totalPages} (${data.total} reviews)</span>
+      <button ${data.page >= data.totalPages ? 'disabled' : ''} onclick="loadReviews(${data.page + 1})">Next</button>
+    ` : '';
+    loadPendingReviewCount();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+document.getElementById('reviews-form').addEventListener('submit', (e) => {
+  e.preventDefault();
+  loadReviews(1);
+});
+
+async function loadPendingReviewCount() {
+  try {
+    const res = await fetch(`${API_BASE}/reviews?status=pending&limit=1`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const { total } = await res.json();
+    const badge = document.getElementById('reviews-badge');
+    badge.textContent = total;
+    badge.style.display = total ? 'inline-block' : 'none';
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function moderateReview(id, status) {
+  let reason;
+  if (status === 'rejected') {
+    reason = prompt('Reason for rejecting (shown to the customer):');
+    if (reason === null) return;
+  }
+  try {
+    const res = await fetch(`${API_BASE}/reviews/${id}/status`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ status, reason })
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      alert(data.message);
+    }
+    loadReviews();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function saveReviewReply(id) {
+  try {
+    const res = await fetch(`${API_BASE}/reviews/${id}/reply`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ body: document.getElementById(`reply-${id}`).value })
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      alert(data.message);
+    }
+    loadReviews();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function deleteReview(id) {
+  if (!confirm('Delete this review and its photos? This cannot be undone.')) return;
+  try {
+    const res = await fetch(`${API_BASE}/reviews/${id}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      alert(data.message);
+    }
+    loadReviews();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+function initAnalytics() {
+  const to = new Date();
+  const from = new Date(to.getTime() - 29 * 24 * 60 * 60 * 1000);
+  document.getElementById('analytics-from').value = from.toISOString().slice(0, 10);
+  document.getElementById('analytics-to').value = to.toISOString().slice(0, 10);
+  loadAnalytics();
+}
+
+document.getElementById('analytics-form').addEventListener('submit', (e) => {
+  e.preventDefault();
+  loadAnalytics();
+});
+
+async function fetchAnalytics(path, params) {
+  const res = await fetch(`${API_BASE}/analytics/${path}?${params}`, {
+    headers: { 'Authorization': `Bearer ${token}` }
+  });
+  if (!res.ok) throw new Error((await res.json()).message);
+  return res.json();
+}
+
+// Horizontal bars for ranked lists, scaled to the largest value
+function renderBarRows(rows, label, value, format = v => v) {
+  if (!rows.length) return '<p>No data for this period.</p>';
+  const max = Math.max(...rows.map(value)) || 1;
+  return rows.map(r => `
+    <div class="bar-row">
+      <span class="label" title="${label(r)}">${label(r)}</span>
+      <span class="track"><div class="fill" style="width: ${(value(r) / max) * 100}%"></div></span>
+      <span>${format(value(r))}</span>
+    </div>
+  `).join('');
+}
+
+async function loadAnalytics() {
+  const params = new URLSearchParams({
+    from: document.getElementById('analytics-from').value,
+    to: document.getElementById('analytics-to').value,
+    interval: document.getElementById('analytics-interval').value
+  });
+  try {
+    const [sales, topProducts, topCategories, statuses, customers] = await Promise.all([
+      fetchAnalytics('sales', params),
+      fetchAnalytics('top-products', params),
+      fetchAnalytics('top-categories', params),
+      fetchAnalytics('status-breakdown', params),
+      fetchAnalytics('customers', params)
+    ]);
+    const ghs = v => `GHS ${v.toFixed(2)}`;
+
+    document.getElementById('analytics-summary').innerHTML = `
+      <div class="analytics-card"><div>Revenue</div><div class="value">${ghs(sales.revenue)}</div></div>
+      <div class="analytics-card"><div>Orders</div><div class="value">${sales.orders}</div></div>
+      <div class="analytics-card"><div>Avg Order Value</div><div class="value">${ghs(sales.averageOrderValue)}</div></div>
+      <div class="analytics-card"><div>New Customers</div><div class="value">${customers.new.customers}</div></div>
+    `;
+
+    const maxRevenue = Math.max(...sales.series.map(s => s.revenue)) || 1;
+    document.getElementById('analytics-chart').innerHTML = sales.series.length ? `
+      <div class="bar-chart">
+        ${sales.series.map(s => `
+          <div class="bar" style="height: ${(s.revenue / maxRevenue) * 100}%"
+            title="${new Date(s.period).toLocaleDateString()}: ${ghs(s.revenue)} from ${s.orders} orders"></div>
+        `).join('')}
+      </div>
+    ` : '<p>No sales in this period.</p>';
+
+    document.getElementById('analytics-top-products').innerHTML = renderBarRows(topProducts, p => p.name, p => p.revenue, ghs);
+    document.getElementById('analytics-top-categories').innerHTML = renderBarRows(topCategories, c => c.category, c => c.revenue, ghs);
+    document.getElementById('analytics-status').innerHTML = renderBarRows(statuses, s => s.status, s => s.orders);
+    document.getElementById('analytics-customers').innerHTML = renderBarRows(
+      [{ type: 'New', ...customers.new }, { type: 'Returning', ...customers.returning }].filter(c => c.customers),
+      c => `${c.type} (${c.orders} orders)`,
+      c => c.customers
+    );
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function loadUsers() {
+  try {
+    const res = await fetch(`${API_BASE}/auth/users`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const users = await res.json();
+    const list = document.getElementById('users-list');
+    list.innerHTML = users.map(u => `
+      <div class="user-item">
+        <h3>${u.name} (${u.role}${u.staffRole ? ': ' + u.staffRole.name : ''})</h3>
+        <p>${u.email}</p>
+        ${u.role === 'staff' ? `
+          <select onchange="setStaffRole('${u._id}', this.value)">
+            <option value="">No role (orders, inbox and stock view)</option>
+            ${roles.map(r => `<option value="${r._id}" ${u.staffRole && u.staffRole._id === r._id ? 'selected' : ''}>${r.name}</option>`).join('')}
+          </select>
+        ` : ''}
+        ${u.role === 'customer' ? `<button onclick="setAccountType('${u._id}', 'wholesale')">Make Wholesale</button>` : ''}
+        ${u.role === 'wholesale' ? `<button onclick="setAccountType('${u._id}', 'customer')">Make Retail</button>` : ''}
+        <button onclick="deleteUser('${u._id}')">Delete</button>
+      </div>
+    `).join('');
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+let roles = [];
+
+async function loadRoles() {
+  try {
+    const [rolesRes, permissionsRes] = await Promise.all([
+      fetch(`${API_BASE}/roles`, { headers: { 'Authorization': `Bearer ${token}` } }),
+      fetch(`${API_BASE}/roles/permissions`, { headers: { 'Authorization': `Bearer ${token}` } })
+    ]);
+    roles = await rolesRes.json();
+    const permissions = await permissionsRes.json();
+    document.getElementById('roles-list').innerHTML = roles.map(r => `
+      <div class="role-item">
+        <div>
+          <strong>${r.name}</strong> <small>(${r.members} staff)</small>
+          ${r.description ? `<br><small>${r.description}</small>` : ''}
+          <br><small>${r.permissions.join(', ') || 'No permissions'}</small>
+        </div>
+        <div>
+          <button onclick="editRole('${r._id}')">Edit</button>
+          <button class="delete-btn" onclick="deleteRole('${r._id}')">Delete</button>
+        </div>
+      </div>
+    `).join('') || '<p>No custom roles yet. Staff without a role can handle orders and the inbox and see stock.</p>';
+    document.getElementById('role-permissions').innerHTML = permissions.map(p => `
+      <label title="${p.description}">
+        <input type="checkbox" value="${p.name}"> ${p.name}
+      </label>
+    `).join('');
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+function editRole(id) {
+  const role = roles.find(r => r._id === id);
+  document.getElementById('role-id').value = role._id;
+  document.getElementById('role-name').value = role.name;
+  document.getElementById('role-description').value = role.description || '';
+  document.querySelectorAll('#role-permissions input').forEach(box => {
+    box.checked = role.permissions.includes(box.value);
+  });
+}
+
+document.getElementById('role-reset-btn').addEventListener('click', () => {
+  document.getElementById('role-form').reset();
+  document.getElementById('role-id').value = '';
+});
+
+document.getElementById('role-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const id = document.getElementById('role-id').value;
+  const body = {
+    name: document.getElementById('role-name').value,
+    description: document.getElementById('role-description').value,
+    permissions: Array.from(document.querySelectorAll('#role-permissions input:checked')).map(box => box.value)
+  };
+  try {
+    const res = await fetch(`${API_BASE}/roles${id ? '/' + id : ''}`, {
+      method: id ? 'PUT' : 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(body)
+    });
+    if (res.ok) {
+      document.getElementById('role-form').reset();
+      document.getElementById('role-id').value = '';
+      await loadRoles();
+      loadUsers();
+    } else {
+      const data = await res.json();
+      alert(data.message);
+    }
+  } catch (err) {
+    console.error(err);
+  }
+});
+
+async function deleteRole(id) {
+  if (!confirm('Delete this role?')) return;
+  try {
+    const res = await fetch(`${API_BASE}/roles/${id}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      alert(data.message);
+    }
+    loadRoles();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function setStaffRole(id, role) {
+  try {
+    const res = await fetch(`${API_BASE}/auth/users/${id}/staff-role`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ role: role || null })
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      alert(data.message);
+    }
+    loadRoles();
+    loadUsers();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function setAccountType(id, accountType) {
+  try {
+    const res = await fetch(`${API_BASE}/auth/users/${id}/account-type`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ accountType })
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      alert(data.message);
+    }
+    loadUsers();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function deleteUser(id) {
+  if (confirm('Delete this user?')) {
+    try {
+      await fetch(`${API_BASE}/auth/users/${id}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      loadUsers();
+    } catch (err) {
+      console.error(err);
+    }
+  }
+}
+
+async function loadActivityActors() {
+  try {
+    const res = await fetch(`${API_BASE}/auth/staff`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const staff = await res.json();
+    const select = document.getElementById('activity-actor');
+    staff.forEach(u => select.add(new Option(`${u.name} (${u.role})`, u._id)));
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+document.getElementById('activity-form').addEventListener('submit', (e) => {
+  e.preventDefault();
+  loadActivity(1);
+});
+
+// One line per changed field; values are shown as compact JSON
+function renderChanges(entry) {
+  const fields = new Set([...Object.keys(entry.before || {}), ...Object.keys(entry.after || {})]);
+  const show = value => value === undefined ? '&mdash;' : JSON.stringify(value).slice(0, 120);
+  const lines = Array.from(fields).map(f => `<li><strong>${f}</strong>: ${show((entry.before || {})[f])} &rarr; ${show((entry.after || {})[f])}</li>`);
+  if (entry.meta) lines.push(`<li><small>${JSON.stringify(entry.meta)}</small></li>`);
+  return lines.length ? `<ul class="activity-changes">${lines.join('')}</ul>` : '';
+}
+
+async function loadActivity(page = 1) {
+  const params = new URLSearchParams({ page, limit: 50 });
+  const filters = {
+    actor: document.getElementById('activity-actor').value,
+    targetType: document.getElementById('activity-target-type').value,
+    action: document.getElementById('activity-action').value.trim(),
+    from: document.getElementById('activity-from').value,
+    to: document.getElementById('activity-to').value
+  };
+  Object.entries(filters).forEach(([key, value]) => { if (value) params.set(key, value); });
+  try {
+    const res = await fetch(`${API_BASE}/audit?${params}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const data = await res.json();
+    if (!res.ok) return alert(data.message);
+    document.getElementById('activity-list').innerHTML = data.entries.map(e => `
+      <div class="activity-item">
+        <div>
+          <strong>${e.action}</strong> ${e.targetLabel || e.targetId || e.targetType}
+          <br><small>${e.actorName || 'Unknown'} &middot; ${new Date(e.createdAt).toLocaleString()}${e.ip ? ' &middot; ' + e.ip : ''}</small>
+        </div>
+        ${renderChanges(e)}
+      </div>
+    `).join('') || '<p>No activity matches these filters.</p>';
+    document.getElementById('activity-pager').innerHTML = data.totalPages > 1 ? `
+      <button ${data.page <= 1 ? 'disabled' : ''} onclick="loadActivity(${data.page - 1})">Previous</button>
+      <span>Page ${data.page} of ${data.totalPages} (${data.total} entries)</span>
+      <button ${data.page >= data.totalPages ? 'disabled' : ''} onclick="loadActivity(${data.page + 1})">Next</button>
+    ` : '';
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function loadProfile() {
+  let user;
+  try {
+    const res = await fetch(`${API_BASE}/auth/profile`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    user = await res.json();
+  } catch (err) {
+    console.error(err);
+    return;
+  }
+  document.getElementById('profile-name').value = user.name;
+  document.getElementById('profile-phone').value = user.phone || '';
+  document.getElementById('delete-account-btn').style.display = user.role === 'superadmin' ? 'none' : '';
+  document.getElementById('profile-info').innerHTML = `
+    <div class="profile-card">
+      <div class="profile-avatar">
+        <div class="avatar-circle">${user.name.charAt(0).toUpperCase()}</div>
+      </div>
+      <div class="profile-details">
+        <h3>${user.name}</h3>
         <p class="profile-email">${user.email}</p>
+        ${user.phone ? `<p>${user.phone}</p>` : ''}
         <span class="profile-role role-${user.role}">${user.role}</span>
-        <p class="profile-joined">Member since ${new Date().getFullYear()}</p>
+        <p class="profile-joined">Member since ${new Date(user.createdAt).getFullYear()}</p>
       </div>
     </div>
   `;
 }
 
+async function loadSessions() {
+  try {
+    const res = await fetch(`${API_BASE}/auth/sessions`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const sessions = await res.json();
+    document.getElementById('sessions-list').innerHTML = sessions.map(s => `
+      <div class="session-item">
+        <div>
+          <strong>${s.userAgent || 'Unknown device'}</strong>${s.current ? ' <span class="badge">This device</span>' : ''}
+          <br><small>${s.ip || ''} &middot; last active ${new Date(s.lastUsedAt).toLocaleString()}</small>
+        </div>
+        ${s.current ? '' : `<button class="delete-btn" onclick="revokeSession('${s._id}')">Revoke</button>`}
+      </div>
+    `).join('');
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function revokeSession(id) {
+  try {
+    await fetch(`${API_BASE}/auth/sessions/${id}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    loadSessions();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+document.getElementById('logout-all-btn').addEventListener('click', async () => {
+  if (!confirm('Log out of every device, including this one?')) return;
+  try {
+    await fetch(`${API_BASE}/auth/logout-all`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+  } catch (err) {
+    console.error(err);
+  }
+  endSession();
+});
+
+document.getElementById('password-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try {
+    const res = await fetch(`${API_BASE}/auth/password`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({
+        currentPassword: document.getElementById('current-password').value,
+        newPassword: document.getElementById('new-password').value
+      })
+    });
+    const data = await res.json();
+    alert(data.message);
+    if (res.ok) {
+      document.getElementById('password-form').reset();
+      loadSessions();
+    }
+  } catch (err) {
+    console.error(err);
+  }
+});
+
+document.getElementById('profile-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try {
+    const res = await fetch(`${API_BASE}/auth/profile`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({
+        name: document.getElementById('profile-name').value,
+        phone: document.getElementById('profile-phone').value.trim()
+      })
+    });
+    const data = await res.json();
+    if (!res.ok) return alert(data.message);
+    const user = JSON.parse(localStorage.getItem('user'));
+    localStorage.setItem('user', JSON.stringify({ ...user, name: data.name }));
+    loadProfile();
+  } catch (err) {
+    console.error(err);
+  }
+});
+
+document.getElementById('email-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try {
+    const res = await fetch(`${API_BASE}/auth/email`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({
+        newEmail: document.getElementById('new-email').value,
+        password: document.getElementById('email-password').value
+      })
+    });
+    const data = await res.json();
+    alert(data.message);
+    if (res.ok) document.getElementById('email-form').reset();
+  } catch (err) {
+    console.error(err);
+  }
+});
+
 document.getElementById('delete-account-btn').addEventListener('click', async () => {
   if (confirm('Are you sure you want to delete your account? This action cannot be undone.')) {
-    const user = JSON.parse(localStorage.getItem('user'));
+    const password = prompt('Enter your password to confirm');
+    if (!password) return;
     try {
-      const res = await fetch(`${API_BASE}/auth/users/${user.id}`, {
+      const res = await fetch(`${API_BASE}/auth/account`, {
         method: 'DELETE',
-        headers: { 'Authorization': `Bearer ${token}` }
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ password })
       });
       if (res.ok) {
         alert('Account deleted successfully.');
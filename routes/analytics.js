@@ -0,0 +1,176 @@
+const express = require('express');
+const Order = require('../models/Order');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const INTERVALS = ['day', 'week', 'month'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD, defaulting to the last 30 days; `to` is inclusive
+const dateRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  if (query.to) to.setTime(to.getTime() + DAY_MS);
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * DAY_MS);
+  if (isNaN(from) || isNaN(to)) {
+    throw Object.assign(new Error('Invalid date range'), { status: 400 });
+  }
+  return { from, to };
+};
+
+// Orders placed in the range; revenue figures leave out cancelled orders
+const rangeMatch = ({ from, to }, includeCancelled = false) => {
+  const match = { createdAt: { $gte: from, $lt: to } };
+  if (!includeCancelled) match.status = { $ne: 'cancelled' };
+  return match;
+};
+
+const round = n => Math.round((n || 0) * 100) / 100;
+
+// Revenue, order count and average order value, overall and per day/week/month
+router.get('/sales', auth, requirePermission('reports:view'), async (req, res) => {
+  try {
+    const range = dateRange(req.query);
+    const interval = INTERVALS.includes(req.query.interval) ? req.query.interval : 'day';
+    const [series, [totals]] = await Promise.all([
+      Order.aggregate([
+        { $match: rangeMatch(range) },
+        {
+          $group: {
+            _id: { $dateTrunc: { date: '$createdAt', unit: interval, startOfWeek: 'monday' } },
+            revenue: { $sum: '$total' },
+            orders: { $sum: 1 }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      Order.aggregate([
+        { $match: rangeMatch(range) },
+        { $group: { _id: null, revenue: { $sum: '$total' }, orders: { $sum: 1 } } }
+      ])
+    ]);
+    const revenue = totals ? totals.revenue : 0;
+    const orders = totals ? totals.orders : 0;
+    res.json({
+      from: range.from,
+      to: range.to,
+      interval,
+      revenue: round(revenue),
+      orders,
+      averageOrderValue: orders ? round(revenue / orders) : 0,
+      series: series.map(s => ({
+        period: s._id,
+        revenue: round(s.revenue),
+        orders: s.orders,
+        averageOrderValue: round(s.revenue / s.orders)
+      }))
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Best-selling products by revenue
+router.get('/top-products', auth, requirePermission('reports:view'), async (req, res) => {
+  try {
+    const range = dateRange(req.query);
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const products = await Order.aggregate([
+      { $match: rangeMatch(range) },
+      { $unwind: '$products' },
+      {
+        $group: {
+          _id: '$products.product',
+          name: { $last: '$products.name' },
+          quantity: { $sum: '$products.quantity' },
+          revenue: { $sum: { $multiply: ['$products.price', '$products.quantity'] } }
+        }
+      },
+      { $sort: { revenue: -1 } },
+      { $limit: limit }
+    ]);
+    res.json(products.map(p => ({ product: p._id, name: p.name, quantity: p.quantity, revenue: round(p.revenue) })));
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Best-selling categories by revenue
+router.get('/top-categories', auth, requirePermission('reports:view'), async (req, res) => {
+  try {
+    const range = dateRange(req.query);
+    const categories = await Order.aggregate([
+      { $match: rangeMatch(range) },
+      { $unwind: '$products' },
+      { $lookup: { from: 'products', localField: 'products.product', foreignField: '_id', as: 'product' } },
+      {
+        $group: {
+          _id: { $first: '$product.category' },
+          quantity: { $sum: '$products.quantity' },
+          revenue: { $sum: { $multiply: ['$products.price', '$products.quantity'] } }
+        }
+      },
+      { $sort: { revenue: -1 } },
+      { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } }
+    ]);
+    res.json(categories.map(c => ({
+      category: c.category.length ? c.category[0].name : 'Uncategorised',
+      quantity: c.quantity,
+      revenue: round(c.revenue)
+    })));
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Order count and value per status, including cancelled orders
+router.get('/status-breakdown', auth, requirePermission('reports:view'), async (req, res) => {
+  try {
+    const range = dateRange(req.query);
+    const statuses = await Order.aggregate([
+      { $match: rangeMatch(range, true) },
+      { $group: { _id: '$status', orders: { $sum: 1 }, value: { $sum: '$total' } } },
+      { $sort: { orders: -1 } }
+    ]);
+    res.json(statuses.map(s => ({ status: s._id, orders: s.orders, value: round(s.value) })));
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Customers ordering in the range, split by whether they had ordered before it
+router.get('/customers', auth, requirePermission('reports:view'), async (req, res) => {
+  try {
+    const range = dateRange(req.query);
+    const customers = await Order.aggregate([
+      { $match: rangeMatch(range) },
+      { $group: { _id: '$user', orders: { $sum: 1 }, revenue: { $sum: '$total' } } },
+      {
+        $lookup: {
+          from: 'orders',
+          let: { user: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $and: [{ $eq: ['$user', '$$user'] }, { $lt: ['$createdAt', range.from] }] } } },
+            { $limit: 1 }
+          ],
+          as: 'earlier'
+        }
+      },
+      {
+        $group: {
+          _id: { $cond: [{ $gt: [{ $size: '$earlier' }, 0] }, 'returning', 'new'] },
+          customers: { $sum: 1 },
+          orders: { $sum: '$orders' },
+          revenue: { $sum: '$revenue' }
+        }
+      }
+    ]);
+    const empty = { customers: 0, orders: 0, revenue: 0 };
+    const byType = Object.fromEntries(customers.map(c => [c._id, { customers: c.customers, orders: c.orders, revenue: round(c.revenue) }]));
+    res.json({ new: byType.new || empty, returning: byType.returning || empty });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { auth, superAdminAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_LIMIT = 100;
+const escapeRegex = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Query the audit log (superadmin). Filters: actor, action (exact, or a prefix such as
+// "product" for every product.* action), targetType, targetId, from/to (YYYY-MM-DD, `to`
+// inclusive), plus page and limit.
+router.get('/', auth, superAdminAuth, async (req, res) => {
+  try {
+    const { actor, action, targetType, targetId, from, to } = req.query;
+    const filter = {};
+    if (actor) {
+      if (!mongoose.isValidObjectId(actor)) return res.status(400).json({ message: 'Invalid actor' });
+      filter.actor = actor;
+    }
+    if (action) filter.action = action.includes('.') ? action : new RegExp(`^${escapeRegex(action)}\\.`);
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lt = new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000);
+      if (Object.values(filter.createdAt).some(d => isNaN(d))) {
+        return res.status(400).json({ message: 'Invalid date range' });
+      }
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_LIMIT);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+    res.json({ entries, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
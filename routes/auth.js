@@ -1,29 +1,66 @@
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { auth, superAdminAuth } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const Order = require('../models/Order');
+const { auth, requirePermission, superAdminAuth } = require('../middleware/auth');
+const { hashToken, startSession, rotateSession, authenticate, revokeSessions } = require('../services/sessions');
+const { sendMail } = require('../services/mailer');
+const { permissionsFor, hasPermission } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
+const { anonymiseUser, anonymiseConversations } = require('../services/accounts');
 
 const router = express.Router();
 
-// Register (customers public, staff require superadmin auth, only one superadmin allowed)
+const MIN_PASSWORD_LENGTH = 8;
+const RESET_TOKEN_MINUTES = 60;
+const EMAIL_TOKEN_HOURS = 24;
+const PROFILE_FIELDS = ['name', 'phone'];
+const ADDRESS_FIELDS = ['label', 'recipientName', 'phone', 'region', 'city', 'street', 'landmark', 'gpsCode', 'isDefault'];
+
+const appUrl = req => process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+
+const pick = (body, fields) => Object.fromEntries(fields.filter(f => body[f] !== undefined).map(f => [f, body[f]]));
+
+// Expects user.staffRole to be populated
+const publicUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  staffRole: user.staffRole ? user.staffRole.name : null,
+  permissions: permissionsFor(user)
+});
+
+// Register (customers public, wholesale accounts require customers:manage,
+// staff require superadmin auth, only one superadmin allowed)
 router.post('/register', async (req, res) => {
   const { name, email, password, role = 'customer' } = req.body;
-  const allowedRoles = ['customer', 'staff', 'superadmin'];
+  const allowedRoles = ['customer', 'wholesale', 'staff', 'superadmin'];
   if (!allowedRoles.includes(role)) return res.status(400).json({ message: 'Invalid role' });
 
+  let creator;
   if (role === 'superadmin') {
     const existingSuper = await User.findOne({ role: 'superadmin' });
     if (existingSuper) return res.status(400).json({ message: 'Super admin already exists' });
   } else if (role !== 'customer') {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    if (!token) return res.status(401).json({ message: 'Auth required for staff accounts' });
+    if (!token) return res.status(401).json({ message: `Auth required for ${role} accounts` });
+    let identity;
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id);
-      if (user.role !== 'superadmin') return res.status(403).json({ message: 'Only superadmin can create staff accounts' });
+      identity = await authenticate(token);
     } catch (err) {
-      return res.status(401).json({ message: 'Invalid token' });
+      return res.status(503).json({ message: 'Could not check your session, try again' });
+    }
+    if (!identity) return res.status(401).json({ message: 'Invalid token' });
+    creator = identity.user;
+    if (role === 'staff' && creator.role !== 'superadmin') {
+      return res.status(403).json({ message: 'Only superadmin can create staff accounts' });
+    }
+    if (role === 'wholesale' && !hasPermission(creator, 'customers:manage')) {
+      return res.status(403).json({ message: 'Missing permission: customers:manage' });
     }
   }
 
@@ -31,6 +68,16 @@ router.post('/register', async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, 10);
     const user = new User({ name, email, password: hashedPassword, role });
     await user.save();
+    if (creator) {
+      await recordAudit(req, {
+        actor: creator,
+        action: 'user.create',
+        targetType: 'user',
+        targetId: user._id,
+        targetLabel: user.email,
+        after: user
+      });
+    }
     res.status(201).json({ message: 'User registered' });
   } catch (err) {
     res.status(400).json({ message: err.message });
@@ -41,12 +88,134 @@ router.post('/register', async (req, res) => {
 router.post('/login', async (req, res) => {
   const { email, password } = req.body;
   try {
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email }).populate('staffRole');
     if (!user || !(await bcrypt.compare(password, user.password))) {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
-    res.json({ token, user: { id: user._id, name: user.name, role: user.role } });
+    const { token, refreshToken } = await startSession(user, req);
+    res.json({ token, refreshToken, user: publicUser(user) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Exchange a refresh token for a new access token; the refresh token is rotated
+router.post('/refresh', async (req, res) => {
+  try {
+    const { token, refreshToken, user } = await rotateSession(req.body.refreshToken, req);
+    res.json({ token, refreshToken, user: publicUser(user) });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Log out of the current session
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await Session.updateOne({ _id: req.sessionId }, { revokedAt: new Date() });
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Log out of every session, including this one
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const result = await revokeSessions(req.user._id);
+    res.json({ message: 'Logged out everywhere', revoked: result.modifiedCount });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastUsedAt: -1 });
+    res.json(sessions.map(s => ({ ...s.toObject(), current: s._id.equals(req.sessionId) })));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const result = await Session.updateOne(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    if (!result.matchedCount) return res.status(404).json({ message: 'Session not found' });
+    res.json({ message: 'Session revoked' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Change password; other sessions are signed out
+router.patch('/password', auth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    if (!(await bcrypt.compare(currentPassword || '', req.user.password))) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+    req.user.password = await bcrypt.hash(newPassword, 10);
+    await req.user.save();
+    await revokeSessions(req.user._id, req.sessionId);
+    res.json({ message: 'Password changed' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Email a password reset link. Always answers the same way so it can't be used
+// to find out which emails have accounts.
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      const resetToken = crypto.randomBytes(32).toString('hex');
+      user.passwordResetHash = hashToken(resetToken);
+      user.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000);
+      await user.save();
+      const link = `${appUrl(req)}/reset-password.html?token=${resetToken}`;
+      // Not awaited, and a failure is only logged: a slower or failed response would
+      // reveal that the account exists
+      sendMail({
+        to: user.email,
+        subject: 'Reset your NetyarkMall password',
+        text: `Hi ${user.name},\n\nUse this link to choose a new password. It expires in ${RESET_TOKEN_MINUTES} minutes.\n\n${link}\n\nIf you didn't ask for this, you can ignore this email.`
+      }).catch(err => console.log(err));
+    }
+    res.json({ message: 'If that email has an account, a reset link has been sent' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Set a new password with a reset token; every session is signed out
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    const user = await User.findOne({
+      passwordResetHash: hashToken(String(token || '')),
+      passwordResetExpires: { $gt: new Date() }
+    });
+    if (!user) return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    user.password = await bcrypt.hash(password, 10);
+    user.passwordResetHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+    await revokeSessions(user._id);
+    res.json({ message: 'Password reset. Please log in.' });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
@@ -64,30 +233,240 @@ router.get('/check-superadmin', async (req, res) => {
 
 // Get profile
 router.get('/profile', auth, (req, res) => {
-  res.json(req.user);
+  res.json({ ...req.user.toJSON(), permissions: permissionsFor(req.user) });
+});
+
+// Update name and phone
+router.patch('/profile', auth, async (req, res) => {
+  try {
+    req.user.set(pick(req.body, PROFILE_FIELDS));
+    await req.user.save();
+    res.json(req.user);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Address book
+router.get('/addresses', auth, (req, res) => {
+  res.json(req.user.addresses);
+});
+
+// Add an address; isDefault: true makes it the default delivery address
+router.post('/addresses', auth, async (req, res) => {
+  try {
+    const address = pick(req.body, ADDRESS_FIELDS);
+    if (address.isDefault) req.user.addresses.forEach(a => { a.isDefault = false; });
+    req.user.addresses.push(address);
+    await req.user.save();
+    res.status(201).json(req.user.addresses);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Edit an address
+router.put('/addresses/:addressId', auth, async (req, res) => {
+  try {
+    const address = req.user.addresses.id(req.params.addressId);
+    if (!address) return res.status(404).json({ message: 'Address not found' });
+    const updates = pick(req.body, ADDRESS_FIELDS);
+    if (updates.isDefault) req.user.addresses.forEach(a => { a.isDefault = false; });
+    address.set(updates);
+    await req.user.save();
+    res.json(req.user.addresses);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Remove an address; if it was the default, the first remaining one takes over
+router.delete('/addresses/:addressId', auth, async (req, res) => {
+  try {
+    const address = req.user.addresses.id(req.params.addressId);
+    if (!address) return res.status(404).json({ message: 'Address not found' });
+    address.deleteOne();
+    await req.user.save();
+    res.json(req.user.addresses);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Start an email change: a verification link goes to the new address, and the
+// email only changes once it is followed
+router.post('/email', auth, async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+    if (!newEmail) return res.status(400).json({ message: 'New email is required' });
+    if (!(await bcrypt.compare(password || '', req.user.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+    if (await User.exists({ email: newEmail })) {
+      return res.status(400).json({ message: 'That email is already in use' });
+    }
+    const verifyToken = crypto.randomBytes(32).toString('hex');
+    req.user.pendingEmail = newEmail;
+    req.user.emailVerificationHash = hashToken(verifyToken);
+    req.user.emailVerificationExpires = new Date(Date.now() + EMAIL_TOKEN_HOURS * 60 * 60 * 1000);
+    await req.user.save();
+    await sendMail({
+      to: newEmail,
+      subject: 'Confirm your new NetyarkMall email',
+      text: `Hi ${req.user.name},\n\nConfirm this as your new email address by opening the link below. It expires in ${EMAIL_TOKEN_HOURS} hours.\n\n${appUrl(req)}/verify-email.html?token=${verifyToken}`
+    });
+    res.json({ message: `Verification link sent to ${newEmail}` });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Confirm an email change with the emailed token; the old address is told about it
+router.post('/email/verify', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationHash: hashToken(String(req.body.token || '')),
+      emailVerificationExpires: { $gt: new Date() }
+    }).select('+pendingEmail');
+    if (!user) return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    if (await User.exists({ email: user.pendingEmail })) {
+      return res.status(400).json({ message: 'That email is already in use' });
+    }
+    const oldEmail = user.email;
+    user.email = user.pendingEmail;
+    user.pendingEmail = undefined;
+    user.emailVerificationHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+    sendMail({
+      to: oldEmail,
+      subject: 'Your NetyarkMall email was changed',
+      text: `Hi ${user.name},\n\nThe email on your account was changed to ${user.email}. If this wasn't you, contact us right away.`
+    }).catch(err => console.log(err));
+    res.json({ message: 'Email updated' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Delete your own account (not the superadmin). Orders are kept but anonymised.
+router.delete('/account', auth, async (req, res) => {
+  try {
+    if (req.user.role === 'superadmin') {
+      return res.status(400).json({ message: 'The superadmin account cannot be deleted' });
+    }
+    if (!(await bcrypt.compare(req.body.password || '', req.user.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+    await anonymiseUser(req.user);
+    res.json({ message: 'Account deleted' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// List staff accounts, e.g. for assigning conversations (staff)
+router.get('/staff', auth, requirePermission('messages:respond'), async (req, res) => {
+  try {
+    const staff = await User.find({ role: { $in: ['staff', 'superadmin'] } }).select('name role');
+    res.json(staff);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
 // Get all users (superadmin only)
 router.get('/users', auth, superAdminAuth, async (req, res) => {
   try {
-    const users = await User.find().select('-password');
+    const users = await User.find({ deletedAt: null }).select('-password').populate('staffRole', 'name');
     res.json(users);
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-// Delete user (superadmin only)
+// Delete user (superadmin only). Accounts with orders are anonymised so the
+// orders stay attached; others are removed outright.
 router.delete('/users/:id', auth, superAdminAuth, async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) return res.status(404).json({ message: 'User not found' });
-    await User.findByIdAndDelete(req.params.id);
+    const anonymised = Boolean(await Order.exists({ user: user._id }));
+    const role = user.role;
+    if (anonymised) {
+      await anonymiseUser(user);
+    } else {
+      await anonymiseConversations(user);
+      await User.findByIdAndDelete(req.params.id);
+      await Session.deleteMany({ user: user._id });
+    }
+    // Only the id is kept: a snapshot would put the deleted personal data in the log
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: user._id,
+      meta: { role, anonymised }
+    });
     res.json({ message: 'User deleted' });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-module.exports = router;
+// Give a staff member a custom role, or clear it with role: null (superadmin)
+router.patch('/users/:id/staff-role', auth, superAdminAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.role !== 'staff') return res.status(400).json({ message: 'Only staff accounts can hold a custom role' });
+    if (req.body.role && !(await Role.exists({ _id: req.body.role }))) {
+      return res.status(400).json({ message: 'Role not found' });
+    }
+    const before = { staffRole: user.staffRole };
+    user.staffRole = req.body.role || null;
+    await user.save();
+    await recordAudit(req, {
+      action: 'user.staff_role',
+      targetType: 'user',
+      targetId: user._id,
+      targetLabel: user.email,
+      before,
+      after: { staffRole: user.staffRole }
+    });
+    await user.populate('staffRole', 'name');
+    res.json(user);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Switch a customer between retail and wholesale pricing (staff)
+router.patch('/users/:id/account-type', auth, requirePermission('customers:manage'), async (req, res) => {
+  try {
+    const { accountType } = req.body;
+    if (!['customer', 'wholesale'].includes(accountType)) {
+      return res.status(400).json({ message: 'Account type must be customer or wholesale' });
+    }
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!['customer', 'wholesale'].includes(user.role)) {
+      return res.status(400).json({ message: 'Only customer accounts can change account type' });
+    }
+    const before = { role: user.role };
+    user.role = accountType;
+    await user.save();
+    await recordAudit(req, {
+      action: 'user.account_type',
+      targetType: 'user',
+      targetId: user._id,
+      targetLabel: user.email,
+      before,
+      after: { role: user.role }
+    });
+    res.json(user);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,183 @@
+const express = require('express');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { auth, optionalAuth, requirePermission } = require('../middleware/auth');
+const { buildTree, updateDescendantPaths } = require('../services/categories');
+const { searchProducts } = require('../services/catalog');
+const { productForViewer } = require('../services/pricing');
+const { uploadMedia, storeMedia, removeUnusedMedia } = require('../services/media');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+const CATEGORY_FIELDS = ['name', 'slug', 'parent', 'description', 'featured'];
+
+// Multipart forms send every field as a string; blank ones clear the value
+const categoryData = body => Object.fromEntries(CATEGORY_FIELDS
+  .filter(f => body[f] !== undefined)
+  .map(f => [f, body[f] === '' ? null : body[f]]));
+
+// New and moved categories go to the end of their siblings
+const nextSortOrder = async (parent) => {
+  const last = await Category.findOne({ parent: parent || null }).sort({ sortOrder: -1 });
+  return last ? last.sortOrder + 1 : 0;
+};
+
+// All categories as a tree (public). productCount includes subcategories, matching
+// what /:slug/products lists. ?featured=true gives the flat list of featured
+// categories for "Shop by Category" instead
+router.get('/', async (req, res) => {
+  try {
+    if (req.query.featured === 'true') {
+      return res.json(await Category.find({ featured: true }).sort({ sortOrder: 1, name: 1 }));
+    }
+    const [categories, counts] = await Promise.all([
+      Category.find(),
+      Product.aggregate([{ $group: { _id: '$category', count: { $sum: 1 } } }])
+    ]);
+    const tree = buildTree(categories);
+    const addCounts = nodes => nodes.reduce((sum, node) => {
+      const row = counts.find(c => c._id && c._id.equals(node._id));
+      node.productCount = (row ? row.count : 0) + addCounts(node.children);
+      return sum + node.productCount;
+    }, 0);
+    addCounts(tree);
+    res.json(tree);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Save a new sibling order (admin): ids are all the children of one parent, in order
+router.put('/order', auth, requirePermission('products:write'), async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body.ids) ? req.body.ids : [];
+    const categories = await Category.find({ _id: { $in: ids } });
+    if (!ids.length || categories.length !== ids.length) {
+      return res.status(400).json({ message: 'Unknown category in the new order' });
+    }
+    const parent = categories[0].parent;
+    if (categories.some(c => String(c.parent) !== String(parent))) {
+      return res.status(400).json({ message: 'Only categories with the same parent can be reordered together' });
+    }
+    await Category.bulkWrite(ids.map((id, sortOrder) => ({
+      updateOne: { filter: { _id: id }, update: { $set: { sortOrder } } }
+    })));
+    await recordAudit(req, {
+      action: 'category.reorder',
+      targetType: 'category',
+      targetId: parent || undefined,
+      meta: { ids }
+    });
+    res.json({ message: 'Order saved' });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// One category with its breadcrumb and direct subcategories (public)
+router.get('/:slug', async (req, res) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug }).populate('ancestors', 'name slug');
+    if (!category) return res.status(404).json({ message: 'Category not found' });
+    const children = await Category.find({ parent: category._id }).sort({ sortOrder: 1, name: 1 });
+    res.json({ ...category.toObject(), children });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Products in a category and all of its subcategories (public). Takes the same
+// query params as GET /api/products (q, brand, price range, sort, page, ...).
+router.get('/:slug/products', optionalAuth, async (req, res) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug }).populate('ancestors', 'name slug');
+    if (!category) return res.status(404).json({ message: 'Category not found' });
+    const results = await searchProducts({ ...req.query, category: String(category._id) });
+    results.products = results.products.map(p => productForViewer(p, req.user));
+    res.json({ category, ...results });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Create a category (admin); multipart with an optional image file
+router.post('/', auth, requirePermission('products:write'), uploadMedia([{ name: 'image', maxCount: 1 }]), async (req, res) => {
+  try {
+    const data = categoryData(req.body);
+    const file = req.files && req.files.image && req.files.image[0];
+    if (file) data.image = await storeMedia(file);
+    else if (req.body.imageUrl) data.image = req.body.imageUrl;
+    data.sortOrder = await nextSortOrder(data.parent);
+    const category = await Category.create(data);
+    await recordAudit(req, {
+      action: 'category.create',
+      targetType: 'category',
+      targetId: category._id,
+      targetLabel: category.name,
+      after: category
+    });
+    res.status(201).json(category);
+  } catch (err) {
+    res.status(err.status || 400).json({ message: err.message });
+  }
+});
+
+// Update a category (admin). Moving it under another parent moves its whole subtree.
+router.put('/:id', auth, requirePermission('products:write'), uploadMedia([{ name: 'image', maxCount: 1 }]), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) return res.status(404).json({ message: 'Category not found' });
+    const before = category.toObject();
+    category.set(categoryData(req.body));
+    const file = req.files && req.files.image && req.files.image[0];
+    if (file) category.image = await storeMedia(file);
+    else if (req.body.imageUrl !== undefined) category.image = req.body.imageUrl || undefined;
+    const moved = category.isModified('parent');
+    if (moved) category.sortOrder = await nextSortOrder(category.parent);
+    await category.save();
+    if (moved) await updateDescendantPaths(category);
+    if (before.image && before.image !== category.image) {
+      removeUnusedMedia([before.image]).catch(err => console.log(err));
+    }
+    await recordAudit(req, {
+      action: 'category.update',
+      targetType: 'category',
+      targetId: category._id,
+      targetLabel: category.name,
+      before,
+      after: category
+    });
+    res.json(category);
+  } catch (err) {
+    res.status(err.status || 400).json({ message: err.message });
+  }
+});
+
+// Delete an empty category (admin); products and subcategories must be moved first
+router.delete('/:id', auth, requirePermission('products:write'), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) return res.status(404).json({ message: 'Category not found' });
+    if (await Category.exists({ parent: category._id })) {
+      return res.status(409).json({ message: 'Move or delete its subcategories first' });
+    }
+    if (await Product.exists({ category: category._id })) {
+      return res.status(409).json({ message: 'Move its products to another category first' });
+    }
+    await category.deleteOne();
+    if (category.image) removeUnusedMedia([category.image]).catch(err => console.log(err));
+    await recordAudit(req, {
+      action: 'category.delete',
+      targetType: 'category',
+      targetId: category._id,
+      targetLabel: category.name,
+      before: category
+    });
+    res.json({ message: 'Category deleted' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
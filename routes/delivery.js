@@ -0,0 +1,120 @@
+const express = require('express');
+const DeliveryZone = require('../models/DeliveryZone');
+const { auth, requirePermission } = require('../middleware/auth');
+const { quoteDelivery } = require('../services/delivery');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+const ZONE_FIELDS = [
+  'name', 'method', 'regions', 'cities', 'pickupAddress', 'feeType', 'fee', 'includedKg', 'perKgFee',
+  'estimatedDays', 'active'
+];
+
+const zoneData = body => Object.fromEntries(ZONE_FIELDS
+  .filter(f => body[f] !== undefined)
+  .map(f => [f, body[f] === '' ? null : body[f]]));
+
+// Active delivery zones and pickup points, for the checkout page
+router.get('/options', async (req, res) => {
+  try {
+    const zones = await DeliveryZone.find({ active: true }).sort({ method: 1, name: 1 }).select('-active -createdAt');
+    res.json({
+      zones: zones.filter(z => z.method === 'delivery'),
+      pickupPoints: zones.filter(z => z.method === 'pickup')
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Delivery fee for a cart (user): products [{ product, quantity }], deliveryMethod,
+// and addressId (default address if omitted) or pickupPointId
+router.post('/quote', auth, async (req, res) => {
+  try {
+    const method = req.body.deliveryMethod || 'delivery';
+    const address = req.body.addressId ? req.user.addresses.id(req.body.addressId) : req.user.defaultAddress();
+    if (req.body.addressId && !address) return res.status(404).json({ message: 'Address not found' });
+    const lines = (req.body.products || []).map(item => ({
+      product: item.product,
+      quantity: parseInt(item.quantity) || 1
+    }));
+    const { delivery, fee } = await quoteDelivery({
+      method,
+      pickupPointId: req.body.pickupPointId,
+      address: method === 'delivery' ? address : null,
+      lines
+    });
+    res.json({ ...delivery, fee });
+  } catch (err) {
+    res.status(err.status || 400).json({ message: err.message });
+  }
+});
+
+// All zones and pickup points, including inactive ones (admin)
+router.get('/zones', auth, requirePermission('delivery:manage'), async (req, res) => {
+  try {
+    res.json(await DeliveryZone.find().sort({ method: 1, name: 1 }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Create a zone or pickup point (admin)
+router.post('/zones', auth, requirePermission('delivery:manage'), async (req, res) => {
+  try {
+    const zone = await DeliveryZone.create(zoneData(req.body));
+    await recordAudit(req, {
+      action: 'delivery_zone.create',
+      targetType: 'delivery_zone',
+      targetId: zone._id,
+      targetLabel: zone.name,
+      after: zone
+    });
+    res.status(201).json(zone);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Update a zone or pickup point (admin); orders keep the fee they were charged
+router.put('/zones/:id', auth, requirePermission('delivery:manage'), async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findById(req.params.id);
+    if (!zone) return res.status(404).json({ message: 'Delivery zone not found' });
+    const before = zone.toObject();
+    zone.set(zoneData(req.body));
+    await zone.save();
+    await recordAudit(req, {
+      action: 'delivery_zone.update',
+      targetType: 'delivery_zone',
+      targetId: zone._id,
+      targetLabel: zone.name,
+      before,
+      after: zone
+    });
+    res.json(zone);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Delete a zone or pickup point (admin); orders keep its name as a snapshot
+router.delete('/zones/:id', auth, requirePermission('delivery:manage'), async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findByIdAndDelete(req.params.id);
+    if (!zone) return res.status(404).json({ message: 'Delivery zone not found' });
+    await recordAudit(req, {
+      action: 'delivery_zone.delete',
+      targetType: 'delivery_zone',
+      targetId: zone._id,
+      targetLabel: zone.name,
+      before: zone
+    });
+    res.json({ message: 'Delivery zone deleted' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
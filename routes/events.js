@@ -0,0 +1,70 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { authenticate } = require('../services/sessions');
+const { subscribe } = require('../services/notifications');
+const { permissionsFor } = require('../services/permissions');
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25000;
+
+// Live dashboard events over Server-Sent Events (staff); each user only gets the events
+// their permissions cover. EventSource can't send an Authorization header, so the token
+// comes in the query string. Reconnecting browsers send Last-Event-ID; ?lastEventId=
+// does the same after a page reload.
+router.get('/stream', async (req, res) => {
+  let identity;
+  try {
+    identity = await authenticate(req.query.token);
+  } catch (err) {
+    return res.status(503).json({ message: 'Could not check your session, try again' });
+  }
+  if (!identity) return res.status(401).json({ message: 'Invalid token' });
+  const permissions = permissionsFor(identity.user);
+  if (!permissions.length) return res.status(403).json({ message: 'Access denied' });
+
+  // Registered before the replay below, so a client gone by then is noticed
+  let closed = false;
+  let cleanup = () => {};
+  res.on('close', () => {
+    closed = true;
+    cleanup();
+  });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId;
+  let unsubscribe;
+  try {
+    unsubscribe = await subscribe(res, permissions, mongoose.isValidObjectId(lastEventId) ? lastEventId : null);
+  } catch (err) {
+    console.log(err);
+    return res.end();
+  }
+  if (closed) return unsubscribe();
+
+  // The stream outlives the access token, so the session is re-checked on each heartbeat
+  const heartbeat = setInterval(async () => {
+    try {
+      if (await Session.exists({ _id: identity.sessionId, revokedAt: null })) res.write(': heartbeat\n\n');
+      else res.end();
+    } catch (err) {
+      console.log(err);
+      res.end();
+    }
+  }, HEARTBEAT_MS);
+  cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+});
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const express = require('express');
+const Placement = require('../models/Placement');
+const Product = require('../models/Product');
+const { auth, requirePermission } = require('../middleware/auth');
+const { settings, sectionEntries, refreshSalesVelocity } = require('../services/merchandising');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+const PLACEMENT_FIELDS = ['action', 'startsAt', 'endsAt', 'note'];
+
+// Empty form fields clear the dates
+const placementData = body => Object.fromEntries(PLACEMENT_FIELDS
+  .filter(f => body[f] !== undefined)
+  .map(f => [f, body[f] === '' ? null : body[f]]));
+
+const productLabel = product => (product ? product.name : 'Deleted product');
+
+// What each section shows right now, and why (admin)
+router.get('/sections', auth, requirePermission('merchandising:manage'), async (req, res) => {
+  try {
+    const sections = {};
+    for (const section of Placement.SECTIONS) {
+      const entries = await sectionEntries(section, { limit: 50 });
+      const products = await Product.find({ _id: { $in: entries.map(e => e.product) } })
+        .select('name image price stock salesVelocity createdAt');
+      sections[section] = entries.map(e => ({
+        source: e.source,
+        product: products.find(p => p._id.equals(e.product))
+      })).filter(e => e.product);
+    }
+    res.json({ settings: settings(), sections });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Every placement, including scheduled and expired ones (admin); ?section= narrows it
+router.get('/placements', auth, requirePermission('merchandising:manage'), async (req, res) => {
+  try {
+    const filter = req.query.section ? { section: req.query.section } : {};
+    const placements = await Placement.find(filter)
+      .sort({ section: 1, action: 1, position: 1, createdAt: 1 })
+      .populate('product', 'name image')
+      .populate('createdBy', 'name');
+    res.json(placements);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Pin a product to a section, or exclude it from the automatic list (admin).
+// New pins go to the end of the section's pins.
+router.post('/placements', auth, requirePermission('merchandising:manage'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.body.product);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+    const last = await Placement.findOne({ section: req.body.section }).sort({ position: -1 });
+    const placement = await Placement.create({
+      ...placementData(req.body),
+      section: req.body.section,
+      product: product._id,
+      position: last ? last.position + 1 : 0,
+      createdBy: req.user._id
+    });
+    await recordAudit(req, {
+      action: 'placement.create',
+      targetType: 'placement',
+      targetId: placement._id,
+      targetLabel: `${placement.section}: ${product.name}`,
+      after: placement
+    });
+    res.status(201).json(placement);
+  } catch (err) {
+    const message = err.code === 11000 ? 'This product already has a placement in that section' : err.message;
+    res.status(400).json({ message });
+  }
+});
+
+// Save a new order for a section's pins (admin): ids are its pin placements, in order
+router.put('/placements/order', auth, requirePermission('merchandising:manage'), async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body.ids) ? req.body.ids : [];
+    const count = await Placement.countDocuments({ _id: { $in: ids }, section: req.body.section });
+    if (!ids.length || count !== ids.length) {
+      return res.status(400).json({ message: 'Unknown placement in the new order' });
+    }
+    await Placement.bulkWrite(ids.map((id, position) => ({
+      updateOne: { filter: { _id: id }, update: { $set: { position } } }
+    })));
+    await recordAudit(req, {
+      action: 'placement.reorder',
+      targetType: 'placement',
+      targetLabel: req.body.section,
+      meta: { ids }
+    });
+    res.json({ message: 'Order saved' });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Change a placement's action, dates or note (admin)
+router.put('/placements/:id', auth, requirePermission('merchandising:manage'), async (req, res) => {
+  try {
+    const placement = await Placement.findById(req.params.id).populate('product', 'name');
+    if (!placement) return res.status(404).json({ message: 'Placement not found' });
+    const before = placement.toObject();
+    placement.set(placementData(req.body));
+    await placement.save();
+    await recordAudit(req, {
+      action: 'placement.update',
+      targetType: 'placement',
+      targetId: placement._id,
+      targetLabel: `${placement.section}: ${productLabel(placement.product)}`,
+      before,
+      after: placement
+    });
+    res.json(placement);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Remove a placement (admin)
+router.delete('/placements/:id', auth, requirePermission('merchandising:manage'), async (req, res) => {
+  try {
+    const placement = await Placement.findByIdAndDelete(req.params.id).populate('product', 'name');
+    if (!placement) return res.status(404).json({ message: 'Placement not found' });
+    await recordAudit(req, {
+      action: 'placement.delete',
+      targetType: 'placement',
+      targetId: placement._id,
+      targetLabel: `${placement.section}: ${productLabel(placement.product)}`,
+      before: placement
+    });
+    res.json({ message: 'Placement removed' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Recompute fast-selling now instead of waiting for the next scheduled run (admin)
+router.post('/fast-selling/refresh', auth, requirePermission('merchandising:manage'), async (req, res) => {
+  try {
+    const products = await refreshSalesVelocity();
+    res.json({ message: `Sales velocity updated; ${products} products sold recently` });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
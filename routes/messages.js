@@ -1,41 +1,219 @@
 const express = require('express');
+const crypto = require('crypto');
+const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
-const { auth, adminAuth } = require('../middleware/auth');
+const { auth, optionalAuth, requirePermission } = require('../middleware/auth');
+const events = require('../services/events');
+const { hasPermission } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
 
 const router = express.Router();
 
-// Get all messages (admin)
-router.get('/', auth, adminAuth, async (req, res) => {
+// Find a conversation and work out which side the requester is on. Staff with inbox
+// access see every conversation; customers see their own; guests need the token they
+// got when they started it.
+const loadConversation = async (req) => {
+  const conversation = await Conversation.findById(req.params.id).select('+guestToken');
+  if (!conversation) return { error: [404, 'Conversation not found'] };
+  if (hasPermission(req.user, 'messages:view')) return { conversation, side: 'staff' };
+  if (req.user && conversation.customer && conversation.customer.equals(req.user._id)) {
+    return { conversation, side: 'customer' };
+  }
+  const guestToken = req.header('X-Guest-Token') || req.query.guestToken;
+  if (!conversation.customer && guestToken && guestToken === conversation.guestToken) {
+    return { conversation, side: 'customer' };
+  }
+  return { error: [403, 'Access denied'] };
+};
+
+const withoutToken = (conversation) => {
+  const json = conversation.toJSON();
+  delete json.guestToken;
+  return json;
+};
+
+// Add a message, then move the conversation's status, last-message time and the other
+// side's unread count in one atomic update, so concurrent messages can't lose a count
+const addMessage = async (conversation, side, author, body) => {
+  const message = await Message.create({ conversation: conversation._id, author, authorType: side, body });
+  const unreadField = side === 'staff' ? 'unreadForCustomer' : 'unreadForStaff';
+  const updated = await Conversation.findByIdAndUpdate(conversation._id, {
+    $inc: { [unreadField]: 1 },
+    $set: { status: side === 'staff' ? 'pending' : 'open', lastMessageAt: message.timestamp }
+  }, { new: true });
+  if (updated) {
+    conversation.set({ status: updated.status, lastMessageAt: updated.lastMessageAt, [unreadField]: updated[unreadField] });
+  }
+  if (side === 'customer') events.emit('message.received', { conversation, message });
+  return message;
+};
+
+const auditReply = (req, conversation, message) => recordAudit(req, {
+  action: 'conversation.reply',
+  targetType: 'conversation',
+  targetId: conversation._id,
+  targetLabel: conversation.subject,
+  meta: { message: message._id }
+});
+
+// List conversations (admin) - ?status=open|pending|closed&assigned=me|unassigned
+router.get('/', auth, requirePermission('messages:view'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.assigned === 'me') filter.assignedTo = req.user._id;
+    if (req.query.assigned === 'unassigned') filter.assignedTo = null;
+    const conversations = await Conversation.find(filter)
+      .sort({ lastMessageAt: -1 })
+      .limit(200)
+      .populate('customer', 'name email')
+      .populate('assignedTo', 'name')
+      .populate('order', 'total status')
+      .populate('product', 'name');
+    res.json(conversations);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Unread message total for the inbox badge (admin)
+router.get('/unread-count', auth, requirePermission('messages:view'), async (req, res) => {
+  try {
+    const [result] = await Conversation.aggregate([
+      { $match: { status: { $ne: 'closed' } } },
+      { $group: { _id: null, unread: { $sum: '$unreadForStaff' } } }
+    ]);
+    res.json({ unread: result ? result.unread : 0 });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// The signed-in customer's conversations
+router.get('/mine', auth, async (req, res) => {
   try {
-    const messages = await Message.find().sort({ timestamp: -1 });
-    res.json(messages);
+    const conversations = await Conversation.find({ customer: req.user._id })
+      .sort({ lastMessageAt: -1 })
+      .populate('order', 'total status')
+      .populate('product', 'name');
+    res.json(conversations);
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-// Send message (user or public)
-router.post('/', async (req, res) => {
-  const { sender, message } = req.body;
-  const newMessage = new Message({ sender, message });
+// Start a conversation (customer or guest). Guests must give an email and get a
+// guestToken back for follow-ups; callers still on the old { sender, message } body,
+// which had no email, are taken as legacy guest threads.
+router.post('/', optionalAuth, async (req, res) => {
+  const { subject, order, product } = req.body;
+  const body = req.body.message;
+  if (!body) return res.status(400).json({ message: 'Message is required' });
+  try {
+    const conversation = new Conversation({ subject, order, product });
+    if (req.user) {
+      conversation.customer = req.user._id;
+    } else {
+      conversation.guestName = req.body.name || req.body.sender;
+      conversation.guestEmail = req.body.email;
+      if (!req.body.email && req.body.sender) conversation.legacy = true;
+      conversation.guestToken = crypto.randomBytes(24).toString('hex');
+    }
+    await conversation.save();
+    try {
+      await addMessage(conversation, 'customer', req.user ? req.user._id : undefined, body);
+    } catch (err) {
+      // Don't leave an empty thread behind
+      await Conversation.deleteOne({ _id: conversation._id });
+      throw err;
+    }
+    const json = withoutToken(conversation);
+    if (!req.user) json.guestToken = conversation.guestToken;
+    res.status(201).json(json);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Read a conversation with its messages; clears the reader's unread count
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const { conversation, side, error } = await loadConversation(req);
+    if (error) return res.status(error[0]).json({ message: error[1] });
+    const unreadField = side === 'staff' ? 'unreadForStaff' : 'unreadForCustomer';
+    if (conversation[unreadField]) {
+      conversation[unreadField] = 0;
+      await conversation.save();
+    }
+    await conversation.populate([
+      { path: 'customer', select: 'name email' },
+      { path: 'assignedTo', select: 'name' },
+      { path: 'order', select: 'total status' },
+      { path: 'product', select: 'name' }
+    ]);
+    const messages = await Message.find({ conversation: conversation._id })
+      .sort({ timestamp: 1 })
+      .populate('author', 'name');
+    res.json({ ...withoutToken(conversation), messages });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Reply in a conversation (staff, owning customer or guest)
+router.post('/:id/messages', optionalAuth, async (req, res) => {
+  try {
+    const { conversation, side, error } = await loadConversation(req);
+    if (error) return res.status(error[0]).json({ message: error[1] });
+    if (side === 'staff' && !hasPermission(req.user, 'messages:respond')) {
+      return res.status(403).json({ message: 'Missing permission: messages:respond' });
+    }
+    if (!req.body.message) return res.status(400).json({ message: 'Message is required' });
+    const message = await addMessage(conversation, side, req.user ? req.user._id : undefined, req.body.message);
+    if (side === 'staff') await auditReply(req, conversation, message);
+    res.status(201).json(message);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Change status or assignment (admin)
+router.patch('/:id', auth, requirePermission('messages:respond'), async (req, res) => {
   try {
-    await newMessage.save();
-    res.status(201).json(newMessage);
+    const updates = {};
+    if (req.body.status !== undefined) updates.status = req.body.status;
+    if (req.body.assignedTo !== undefined) updates.assignedTo = req.body.assignedTo || null;
+    const conversation = await Conversation.findById(req.params.id);
+    if (!conversation) return res.status(404).json({ message: 'Conversation not found' });
+    const before = { status: conversation.status, assignedTo: conversation.assignedTo };
+    conversation.set(updates);
+    await conversation.save();
+    await recordAudit(req, {
+      action: 'conversation.update',
+      targetType: 'conversation',
+      targetId: conversation._id,
+      targetLabel: conversation.subject,
+      before,
+      after: { status: conversation.status, assignedTo: conversation.assignedTo }
+    });
+    await conversation.populate('assignedTo', 'name');
+    res.json(conversation);
   } catch (err) {
     res.status(400).json({ message: err.message });
   }
 });
 
-// Respond to message (admin)
-router.patch('/:id/respond', auth, adminAuth, async (req, res) => {
+// Respond to a conversation (admin) - kept for older clients; same as POST /:id/messages
+router.patch('/:id/respond', auth, requirePermission('messages:respond'), async (req, res) => {
   try {
-    const { response } = req.body;
-    const message = await Message.findByIdAndUpdate(req.params.id, { response, isRead: true }, { new: true });
-    if (!message) return res.status(404).json({ message: 'Message not found' });
-    res.json(message);
+    const conversation = await Conversation.findById(req.params.id);
+    if (!conversation) return res.status(404).json({ message: 'Conversation not found' });
+    const message = await addMessage(conversation, 'staff', req.user._id, req.body.response);
+    await auditReply(req, conversation, message);
+    res.json(conversation);
   } catch (err) {
     res.status(400).json({ message: err.message });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,50 +1,215 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
-const { auth, adminAuth } = require('../middleware/auth');
+const { withStockTransaction, reserveStock, releaseStock } = require('../services/inventory');
+const events = require('../services/events');
+const { recordAudit } = require('../services/audit');
+const { applyPromotions, redeemPromotions, releasePromotions } = require('../services/promotions');
+const { invoicePdf, packingSlipsPdf } = require('../services/documents');
+const { hasPermission } = require('../services/permissions');
+const { startPayment } = require('../services/payments');
+const { quoteDelivery } = require('../services/delivery');
+const { auth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Get all orders (admin only)
-router.get('/', auth, adminAuth, async (req, res) => {
+router.get('/', auth, requirePermission('orders:view'), async (req, res) => {
   try {
-    const orders = await Order.find().populate('user').populate('products.product');
+    const orders = await Order.find()
+      .sort({ createdAt: -1 })
+      .populate('user', '-password')
+      .populate('products.product')
+      .populate('statusHistory.actor', 'name role');
     res.json(orders);
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-// Get user's orders
+// Get user's orders, with their status timeline
 router.get('/my', auth, async (req, res) => {
   try {
-    const orders = await Order.find({ user: req.user._id }).populate('products.product');
+    const orders = await Order.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('products.product')
+      .populate('statusHistory.actor', 'name role');
     res.json(orders);
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-// Create order (user)
+// Create order (user) - prices and total come from the catalog, never the client.
+// addressId picks from the user's address book (default address if omitted); the
+// address is copied onto the order so later edits don't change where it shipped.
+// promoCodes (or a single promoCode) are validated and redeemed with the order.
+// deliveryMethod is 'delivery' (fee from the zone the address falls in) or 'pickup'
+// (with pickupPointId); the fee is added to the total unless a promotion waives it.
+// Payment starts once the order is saved; the response carries the provider's
+// authorizationUrl to send the customer to (null if the provider couldn't be reached,
+// in which case POST /api/payments/orders/:id/initialize retries).
 router.post('/', auth, async (req, res) => {
-  const { products, total } = req.body;
-  const order = new Order({ user: req.user._id, products, total });
   try {
+    const method = req.body.deliveryMethod || 'delivery';
+    const address = req.body.addressId
+      ? req.user.addresses.id(req.body.addressId)
+      : (method === 'delivery' ? req.user.defaultAddress() : null);
+    if (req.body.addressId && !address) return res.status(400).json({ message: 'Address not found' });
+    let shippingAddress;
+    if (address) {
+      const { _id, isDefault, ...snapshot } = address.toObject();
+      shippingAddress = snapshot;
+    }
+    const order = await withStockTransaction(async (session) => {
+      const orderId = new mongoose.Types.ObjectId();
+      const lines = await reserveStock(req.body.products, req.user, orderId, session);
+      const subtotal = Math.round(lines.reduce((sum, l) => sum + l.price * l.quantity, 0) * 100) / 100;
+      const codes = req.body.promoCodes || (req.body.promoCode ? [req.body.promoCode] : []);
+      const { promotions, discount, freeDelivery } = await applyPromotions(codes, lines, req.user, session);
+      await redeemPromotions(promotions, req.user, session);
+      const { delivery, fee } = await quoteDelivery({
+        method,
+        pickupPointId: req.body.pickupPointId,
+        address: shippingAddress,
+        lines,
+        freeDelivery
+      }, session);
+      const [created] = await Order.create([{
+        _id: orderId,
+        invoiceNumber: await Order.nextInvoiceNumber(session),
+        user: req.user._id,
+        products: lines,
+        subtotal,
+        discount,
+        promotions,
+        freeDelivery,
+        deliveryFee: fee,
+        total: Math.round((subtotal - discount + fee) * 100) / 100,
+        shippingAddress,
+        delivery,
+        statusHistory: [{ to: 'pending', actor: req.user._id, note: 'Order placed' }]
+      }], { session });
+      return created;
+    });
+    events.emit('order.created', { order });
+    let authorizationUrl = null;
+    try {
+      ({ authorizationUrl } = await startPayment(order, req.user));
+    } catch (err) {
+      console.log(err);
+    }
+    res.status(201).json({ ...order.toJSON(), authorizationUrl });
+  } catch (err) {
+    res.status(err.status || 400).json({ message: err.message });
+  }
+});
+
+// Download an order's PDF invoice, or its packing slip with ?type=packing-slip
+// (the customer who placed it, or staff)
+router.get('/:id/invoice', auth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).populate('user', 'name email').populate('products.product', 'name');
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    const isOwner = order.user && order.user._id.equals(req.user._id);
+    if (!isOwner && !hasPermission(req.user, 'orders:view')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    const invoiceNumber = await order.ensureInvoiceNumber();
+    const packingSlip = req.query.type === 'packing-slip';
+    const pdf = packingSlip ? await packingSlipsPdf([order]) : await invoicePdf(order);
+    res.type('application/pdf');
+    res.set('Content-Disposition', `inline; filename="${packingSlip ? 'packing-slip' : 'invoice'}-${invoiceNumber}.pdf"`);
+    res.send(pdf);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Packing slips for several orders in one PDF, one order per page (admin)
+router.post('/packing-slips', auth, requirePermission('orders:view'), async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body.ids) ? req.body.ids : [];
+    if (!ids.length) return res.status(400).json({ message: 'Select at least one order' });
+    const orders = await Order.find({ _id: { $in: ids } })
+      .sort({ createdAt: 1 })
+      .populate('user', 'name email')
+      .populate('products.product', 'name');
+    if (!orders.length) return res.status(404).json({ message: 'No matching orders' });
+    for (const order of orders) await order.ensureInvoiceNumber();
+    const pdf = await packingSlipsPdf(orders);
+    res.type('application/pdf');
+    res.set('Content-Disposition', 'inline; filename="packing-slips.pdf"');
+    res.send(pdf);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+const SHIPMENT_FIELDS = ['carrier', 'riderPhone', 'trackingReference', 'proofNote'];
+
+// Assign an order to a rider or courier, set its tracking reference, or record proof
+// of delivery (admin). Customers see these on GET /my.
+router.patch('/:id/shipment', auth, requirePermission('orders:update'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    if (order.status === 'cancelled') return res.status(409).json({ message: 'Order has been cancelled' });
+    const before = order.shipment ? order.shipment.toObject() : {};
+    for (const field of SHIPMENT_FIELDS) {
+      if (req.body[field] !== undefined) order.set(`shipment.${field}`, req.body[field]);
+    }
+    if (!before.assignedAt && order.shipment.carrier) {
+      order.shipment.assignedBy = req.user._id;
+      order.shipment.assignedAt = new Date();
+    }
+    order.shipment.updatedAt = new Date();
     await order.save();
-    res.status(201).json(order);
+    await recordAudit(req, {
+      action: 'order.shipment',
+      targetType: 'order',
+      targetId: order._id,
+      targetLabel: order.invoiceNumber,
+      before: Object.fromEntries(SHIPMENT_FIELDS.map(f => [f, before[f]])),
+      after: Object.fromEntries(SHIPMENT_FIELDS.map(f => [f, order.shipment[f]]))
+    });
+    res.json(order);
   } catch (err) {
-    res.status(400).json({ message: err.message });
+    res.status(err.status || 400).json({ message: err.message });
   }
 });
 
-// Update order status (admin)
-router.patch('/:id/status', auth, adminAuth, async (req, res) => {
+// Update order status (admin) - only allowed transitions; cancelling returns the reserved stock
+router.patch('/:id/status', auth, requirePermission('orders:update'), async (req, res) => {
   try {
-    const { status } = req.body;
-    const order = await Order.findByIdAndUpdate(req.params.id, { status }, { new: true });
+    const { status, note } = req.body;
+    let from;
+    const order = await withStockTransaction(async (session) => {
+      const found = await Order.findById(req.params.id).session(session);
+      if (!found) return null;
+      from = found.status;
+      found.transitionTo(status, req.user._id, note);
+      if (status === 'cancelled') {
+        await releaseStock(found, req.user._id, session);
+        await releasePromotions(found, session);
+      }
+      await found.save({ session });
+      return found;
+    });
     if (!order) return res.status(404).json({ message: 'Order not found' });
+    events.emit('order.status_changed', { order, from });
+    await recordAudit(req, {
+      action: 'order.status_change',
+      targetType: 'order',
+      targetId: order._id,
+      before: { status: from },
+      after: { status: order.status },
+      meta: note ? { note } : undefined
+    });
+    await order.populate('statusHistory.actor', 'name role');
     res.json(order);
   } catch (err) {
-    res.status(400).json({ message: err.message });
+    res.status(err.status || 400).json({ message: err.message });
   }
 });
 
@@ -0,0 +1,181 @@
+const express = require('express');
+const Order = require('../models/Order');
+const { auth, requirePermission } = require('../middleware/auth');
+const { getProvider, findByReference, startPayment, applyPaymentEvent } = require('../services/payments');
+const { hasPermission } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+const escapeHtml = value => String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+const findOwnOrder = async (req) => {
+  const order = await Order.findById(req.params.id);
+  if (!order) throw Object.assign(new Error('Order not found'), { status: 404 });
+  if (!order.user.equals(req.user._id) && !hasPermission(req.user, 'orders:view')) {
+    throw Object.assign(new Error('Access denied'), { status: 403 });
+  }
+  return order;
+};
+
+// Provider webhooks. The signature covers the exact bytes sent, so it is checked
+// against the raw body kept by express.json in server.js. A 2xx tells the provider
+// to stop retrying, so only unexpected errors return 500.
+router.post('/webhook', async (req, res) => {
+  try {
+    const provider = getProvider();
+    if (!provider.verifySignature(req.rawBody, req.headers)) {
+      return res.status(401).json({ message: 'Invalid signature' });
+    }
+    const event = provider.parseEvent(req.body);
+    if (!event) return res.json({ received: true });
+    const result = await applyPaymentEvent(event);
+    res.json({ received: true, applied: result.applied, reason: result.reason });
+  } catch (err) {
+    console.log(err);
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Start (or retry after a failed charge) payment for an order (user)
+router.post('/orders/:id/initialize', auth, async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, user: req.user._id });
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    res.json(await startPayment(order, req.user));
+  } catch (err) {
+    res.status(err.status || 400).json({ message: err.message });
+  }
+});
+
+// Ask the provider for the latest payment state, for when a webhook is late
+// (the customer who placed it, or staff)
+router.get('/orders/:id', auth, async (req, res) => {
+  try {
+    let order = await findOwnOrder(req);
+    if (order.payment && order.payment.reference && order.paymentStatus !== 'refunded') {
+      // An unpaid order may have been paid on any of its checkout links, newest first
+      const references = ['unpaid', 'failed'].includes(order.paymentStatus) && order.payment.references.length
+        ? [...order.payment.references].reverse()
+        : [order.payment.reference];
+      for (const reference of references) {
+        const event = await getProvider().verify(reference);
+        const result = event && await applyPaymentEvent(event);
+        if (result && result.applied) order = result.order;
+        if (order.paymentStatus === 'paid') break;
+      }
+    }
+    res.json({
+      paymentStatus: order.paymentStatus,
+      provider: order.payment && order.payment.provider,
+      reference: order.payment && order.payment.reference,
+      paidAt: order.payment && order.payment.paidAt
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Refund a paid order in full (admin). The order is marked refunded when the
+// provider's refund webhook arrives.
+router.post('/orders/:id/refund', auth, requirePermission('orders:update'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    if (order.paymentStatus !== 'paid') {
+      return res.status(409).json({ message: `Only paid orders can be refunded (this one is ${order.paymentStatus})` });
+    }
+    await getProvider().refund(order.payment.reference, order.payment.amount);
+    await recordAudit(req, {
+      action: 'order.refund',
+      targetType: 'order',
+      targetId: order._id,
+      targetLabel: order.invoiceNumber,
+      meta: { reference: order.payment.reference, amount: order.payment.amount, reason: req.body.reason }
+    });
+    res.status(202).json({ message: 'Refund requested' });
+  } catch (err) {
+    res.status(err.status || 400).json({ message: err.message });
+  }
+});
+
+// Mark a flagged payment issue as dealt with (admin), e.g. after refunding it with the provider
+router.delete('/orders/:id/issue', auth, requirePermission('orders:update'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    if (!order.payment.issue) return res.status(409).json({ message: 'This order has no payment issue' });
+    const issue = order.payment.issue;
+    await Order.updateOne({ _id: order._id }, { $unset: { 'payment.issue': '' } });
+    await recordAudit(req, {
+      action: 'order.payment_issue_resolve',
+      targetType: 'order',
+      targetId: order._id,
+      targetLabel: order.invoiceNumber,
+      meta: { issue, note: req.body && req.body.note }
+    });
+    res.json({ message: 'Payment issue resolved' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// The mock provider, or null when payments use another provider or aren't configured
+const mockProvider = () => {
+  try {
+    const provider = getProvider();
+    return provider.name === 'mock' ? provider : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Checkout page for the mock provider, with buttons to succeed or fail the charge
+router.get('/mock/checkout', async (req, res) => {
+  try {
+    if (!mockProvider()) return res.status(404).json({ message: 'Not found' });
+    const order = await findByReference(req.query.reference);
+    if (!order) return res.status(404).json({ message: 'Payment not found' });
+    const reference = escapeHtml(req.query.reference);
+    res.type('html').send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Mock payment</title></head>
+<body data-reference="${reference}">
+  <h1>Mock payment</h1>
+  <p>Reference: ${reference}</p>
+  <p>Amount: GHS ${order.payment.amount.toFixed(2)}</p>
+  <button onclick="pay('pay')">Pay</button>
+  <button onclick="pay('fail')">Fail</button>
+  <p id="result"></p>
+  <script>
+    async function pay(outcome) {
+      const res = await fetch('/api/payments/mock/checkout', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reference: document.body.dataset.reference, outcome })
+      });
+      document.getElementById('result').textContent = (await res.json()).message;
+    }
+  </script>
+</body>
+</html>`);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Outcome chosen on the mock checkout page, delivered as a signed webhook
+router.post('/mock/checkout', async (req, res) => {
+  try {
+    const provider = mockProvider();
+    if (!provider) return res.status(404).json({ message: 'Not found' });
+    const order = await findByReference(req.body.reference);
+    if (!order) return res.status(404).json({ message: 'Payment not found' });
+    await provider.simulate(req.body.reference, req.body.outcome, order.payment.amount, order._id);
+    res.json({ message: req.body.outcome === 'fail' ? 'Payment failed' : 'Payment successful' });
+  } catch (err) {
+    res.status(err.status || 400).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,135 +1,510 @@
 const express = require('express');
 const Product = require('../models/Product');
-const { auth, adminAuth } = require('../middleware/auth');
+const InventoryMovement = require('../models/InventoryMovement');
+const { recordMovement, withStockTransaction } = require('../services/inventory');
+const { lowStockProducts } = require('../services/stockAlerts');
+const { readSpreadsheet, importRows, toCsv, toXlsx } = require('../services/productImport');
+const Category = require('../models/Category');
+const { categoryPaths } = require('../services/categories');
+const Placement = require('../models/Placement');
+const Review = require('../models/Review');
+const { searchProducts, listProducts } = require('../services/catalog');
+const { sectionProducts } = require('../services/merchandising');
+const { productForViewer } = require('../services/pricing');
+const { auth, optionalAuth, requirePermission } = require('../middleware/auth');
+const { uploadMedia, storeMedia, productMediaUrls, removeUnusedMedia } = require('../services/media');
+const { recordAudit } = require('../services/audit');
 const multer = require('multer');
-const path = require('path');
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'backend/uploads/');
-  },
-  filename: (req, file, cb) => {
-    cb(null, Date.now() + path.extname(file.originalname));
-  }
-});
+// Spreadsheets are parsed straight from memory and never written to disk
+const spreadsheetUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+// Multipart forms send the variant matrix as a JSON string; each variant may point
+// at one of the stored variantImages by index.
+const parseVariants = (body, imageUrls = []) => {
+  if (body.variants === undefined) return undefined;
+  const variants = typeof body.variants === 'string' ? JSON.parse(body.variants || '[]') : body.variants;
+  return variants.map(({ imageIndex, ...variant }) => {
+    if (imageIndex !== undefined && imageUrls[imageIndex]) {
+      variant.image = imageUrls[imageIndex];
+    }
+    return variant;
+  });
+};
+
+const storeAll = async (files = []) => {
+  const urls = [];
+  for (const file of files) urls.push(await storeMedia(file));
+  return urls;
+};
 
-const upload = multer({ storage: storage });
+const parsePriceTiers = (body) => {
+  if (body.priceTiers === undefined) return undefined;
+  return typeof body.priceTiers === 'string' ? JSON.parse(body.priceTiers || '[]') : body.priceTiers;
+};
 
 const router = express.Router();
 
-// Get all products (public)
-router.get('/', async (req, res) => {
+// Search the catalog (public)
+// Query: q, category, brand, minPrice, maxPrice, inStock, wholesale, section,
+// sort (newest|price_asc|price_desc|popular|rating), page, limit
+// With page or limit the response is { products, page, total, totalPages, facets, ... };
+// without either it stays the bare array of every match that existing storefronts expect.
+// category is the category name; categoryInfo has its { _id, name, slug }.
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const products = await Product.find();
-    res.json(products);
+    if (req.query.page === undefined && req.query.limit === undefined) {
+      const products = await listProducts(req.query);
+      return res.json(products.map(p => productForViewer(p, req.user)));
+    }
+    const results = await searchProducts(req.query);
+    results.products = results.products.map(p => productForViewer(p, req.user));
+    res.json(results);
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-// Get new arrivals (public)
-router.get('/new-arrivals', async (req, res) => {
+// Homepage sections (public): pinned products first, then the automatic list -
+// products added in the last NEW_ARRIVAL_DAYS, or the best recent sellers.
+// Shop by Category is pins only. ?limit= caps the list (default 50).
+const sectionRoute = section => async (req, res) => {
   try {
-    const products = await Product.find({ isNewArrival: true });
-    res.json(products);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const products = await sectionProducts(section, { limit });
+    res.json(products.map(p => productForViewer(p, req.user)));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+router.get('/new-arrivals', optionalAuth, sectionRoute('new-arrivals'));
+router.get('/fast-selling', optionalAuth, sectionRoute('fast-selling'));
+router.get('/shop-by-category', optionalAuth, sectionRoute('shop-by-category'));
+
+// Get wholesale products (public)
+router.get('/wholesale', optionalAuth, async (req, res) => {
+  try {
+    const products = await Product.find({ isWholesale: true }).populate('category', 'name slug');
+    res.json(products.map(p => productForViewer(p, req.user)));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-// Get fast-selling items (public)
-router.get('/fast-selling', async (req, res) => {
+// Export the full catalog as CSV or XLSX (admin)
+router.get('/export', auth, requirePermission('inventory:view'), async (req, res) => {
   try {
-    const products = await Product.find({ isFastSelling: true });
-    res.json(products);
+    const products = await Product.find().sort({ name: 1 });
+    const paths = await categoryPaths();
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (req.query.format === 'xlsx') {
+      const buffer = await toXlsx(products, paths);
+      res.attachment(`products-${stamp}.xlsx`);
+      res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      return res.send(Buffer.from(buffer));
+    }
+    res.attachment(`products-${stamp}.csv`);
+    res.type('text/csv');
+    res.send(toCsv(products, paths));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-// Get shop by category items (public)
-router.get('/shop-by-category', async (req, res) => {
+// Bulk import from CSV or XLSX (admin). Without ?commit=true this only previews
+// each row's action and errors; with it, valid rows are upserted by SKU or name.
+router.post('/import', auth, requirePermission('products:write'), spreadsheetUpload.single('file'), async (req, res) => {
+  if (!req.file) return res.status(400).json({ message: 'No file uploaded' });
+  try {
+    const rows = await readSpreadsheet(req.file.buffer, req.file.originalname);
+    const commit = req.query.commit === 'true';
+    const report = await importRows(rows, { commit, actor: req.user._id });
+    if (commit) {
+      await recordAudit(req, {
+        action: 'product.import',
+        targetType: 'product',
+        targetLabel: req.file.originalname,
+        meta: { total: report.total, imported: report.imported, invalid: report.invalid }
+      });
+    }
+    res.json(report);
+  } catch (err) {
+    res.status(err.status || 400).json({ message: err.message });
+  }
+});
+
+// Low-stock report: products at or below their threshold (admin)
+router.get('/low-stock', auth, requirePermission('inventory:view'), async (req, res) => {
   try {
-    const products = await Product.find({ isShopByCategory: true });
-    res.json(products);
+    const items = await lowStockProducts();
+    await Product.populate(items.map(i => i.product), { path: 'category', select: 'name' });
+    res.json(items.map(({ product, threshold }) => ({
+      _id: product._id,
+      name: product.name,
+      category: product.category && product.category.name,
+      stock: product.stock,
+      threshold,
+      variants: product.variants
+        .filter(v => v.stock <= threshold)
+        .map(v => ({ _id: v._id, sku: v.sku, options: v.options, stock: v.stock }))
+    })));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-// Get wholesale products (public)
-router.get('/wholesale', async (req, res) => {
+// Default low-stock thresholds per category (admin); subcategories inherit them
+router.get('/low-stock/thresholds', auth, requirePermission('inventory:view'), async (req, res) => {
   try {
-    const products = await Product.find({ isWholesale: true });
-    res.json(products);
+    const categories = await Category.find({ lowStockThreshold: { $ne: null } }).sort({ name: 1 });
+    res.json(categories.map(c => ({ category: c._id, name: c.name, threshold: c.lowStockThreshold })));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
+// Set a category's default low-stock threshold, or clear it with null (admin)
+router.put('/low-stock/thresholds/:categoryId', auth, requirePermission('products:write'), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.categoryId);
+    if (!category) return res.status(404).json({ message: 'Category not found' });
+    const previous = category.lowStockThreshold;
+    category.lowStockThreshold = req.body.threshold;
+    await category.save();
+    await recordAudit(req, {
+      action: 'threshold.update',
+      targetType: 'category',
+      targetId: category._id,
+      targetLabel: category.name,
+      before: { threshold: previous },
+      after: { threshold: category.lowStockThreshold }
+    });
+    res.json({ category: category._id, name: category.name, threshold: category.lowStockThreshold });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
 // Get product by id
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
+    const product = await Product.findById(req.params.id).populate('category', 'name slug');
     if (!product) return res.status(404).json({ message: 'Product not found' });
-    res.json(product);
+    res.json(productForViewer(product, req.user));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-// Create product (admin only)
-router.post('/', auth, adminAuth, upload.fields([
+const MEDIA_FIELDS = [
   { name: 'image', maxCount: 1 },
-  { name: 'additionalMedia', maxCount: 10 }
-]), async (req, res) => {
-  const productData = req.body;
-  if (req.files.image && req.files.image[0]) {
-    productData.image = '/uploads/' + req.files.image[0].filename;
+  { name: 'additionalMedia', maxCount: 10 },
+  { name: 'variantImages', maxCount: 50 }
+];
+
+// Multipart can't send an empty array, so list fields also accept '' (clear) or a JSON array
+const parseList = (value) => {
+  if (value === undefined || Array.isArray(value)) return value;
+  if (value === '') return [];
+  if (value.startsWith('[')) return JSON.parse(value);
+  return [value];
+};
+
+// Work out the main image and gallery after an edit.
+// - image file: replaces the main image
+// - imageUrl (or image in a JSON body): makes an existing URL the main image ('' removes it)
+// - mediaOrder (or additionalMedia in a JSON body): list giving the final gallery; entries
+//   are existing URLs, or "new:<n>" for the n-th uploaded additionalMedia file. Omitted,
+//   new uploads are appended.
+const applyMediaChanges = async (product, body, files, stored) => {
+  const changes = {};
+  const known = productMediaUrls(product);
+  const unknownMedia = url => Object.assign(new Error(`Unknown media ${url}`), { status: 400 });
+  const imageUrl = body.imageUrl !== undefined ? body.imageUrl : body.image;
+  const mediaOrder = body.mediaOrder !== undefined ? body.mediaOrder : body.additionalMedia;
+  if (files.image && files.image[0]) {
+    changes.image = await storeMedia(files.image[0]);
+    stored.push(changes.image);
+  } else if (imageUrl !== undefined) {
+    if (imageUrl && !known.includes(imageUrl)) throw unknownMedia(imageUrl);
+    changes.image = imageUrl || undefined;
   }
-  if (req.files.additionalMedia) {
-    productData.additionalMedia = req.files.additionalMedia.map(file => '/uploads/' + file.filename);
+
+  const uploaded = await storeAll(files.additionalMedia);
+  stored.push(...uploaded);
+  if (mediaOrder !== undefined) {
+    changes.additionalMedia = parseList(mediaOrder).map((entry) => {
+      if (typeof entry !== 'string') throw unknownMedia(entry);
+      if (entry.startsWith('new:')) return uploaded[parseInt(entry.slice(4))];
+      if (!known.includes(entry)) throw unknownMedia(entry);
+      return entry;
+    }).filter(url => url);
+  } else if (uploaded.length) {
+    changes.additionalMedia = [...(product.additionalMedia || []), ...uploaded];
+  }
+  return changes;
+};
+
+// Record opening stock as ledger receipts once a product or new variants exist.
+// quantities holds { variant, quantity } pairs; variant is omitted for plain products.
+const receiveOpeningStock = async (productId, quantities, actor, session) => {
+  for (const { variant, quantity } of quantities) {
+    if (quantity > 0) {
+      await recordMovement({
+        product: productId, variant, type: 'receipt', quantity, reason: 'Opening stock', actor
+      }, session);
+    }
   }
-  const product = new Product(productData);
+};
+
+// Create product (admin only) - opening stock goes through the inventory ledger
+router.post('/', auth, requirePermission('products:write'), uploadMedia(MEDIA_FIELDS), async (req, res) => {
+  const productData = req.body;
+  const files = req.files || {};
+  const stored = [];
   try {
-    await product.save();
+    if (files.image && files.image[0]) {
+      productData.image = await storeMedia(files.image[0]);
+      stored.push(productData.image);
+    }
+    if (files.additionalMedia) {
+      productData.additionalMedia = await storeAll(files.additionalMedia);
+      stored.push(...productData.additionalMedia);
+    }
+    const variantImages = await storeAll(files.variantImages);
+    stored.push(...variantImages);
+    const variants = parseVariants(productData, variantImages) || [];
+    productData.priceTiers = parsePriceTiers(productData);
+    const product = await withStockTransaction(async (session) => {
+      const created = new Product({
+        ...productData,
+        salesCount: 0,
+        salesVelocity: 0,
+        ratingAverage: 0,
+        ratingCount: 0,
+        stock: 0,
+        variants: variants.map(v => ({ ...v, stock: 0 }))
+      });
+      await created.save({ session });
+      const quantities = created.variants.length
+        ? created.variants.map((v, i) => ({ variant: v._id, quantity: parseInt(variants[i].stock) || 0 }))
+        : [{ quantity: parseInt(productData.stock) || 0 }];
+      await receiveOpeningStock(created._id, quantities, req.user._id, session);
+      return Product.findById(created._id).session(session);
+    });
+    await recordAudit(req, {
+      action: 'product.create',
+      targetType: 'product',
+      targetId: product._id,
+      targetLabel: product.name,
+      after: product
+    });
     res.status(201).json(product);
   } catch (err) {
-    res.status(400).json({ message: err.message });
+    removeUnusedMedia(stored).catch(cleanupErr => console.log(cleanupErr));
+    res.status(err.status || 400).json({ message: err.message });
   }
 });
 
-// Update product
-router.put('/:id', auth, adminAuth, async (req, res) => {
+// Update product (multipart or JSON) - stock can't be edited here, use the movements endpoint instead.
+// New variants get their stock as an opening receipt; existing variants keep theirs.
+router.put('/:id', auth, requirePermission('products:write'), uploadMedia(MEDIA_FIELDS), async (req, res) => {
+  const files = req.files || {};
+  const stored = [];
   try {
-    const product = await Product.findByIdAndUpdate(req.params.id, req.body, { new: true });
-    if (!product) return res.status(404).json({ message: 'Product not found' });
-    res.json(product);
+    let previousMedia = [];
+    let before;
+    const variantImages = await storeAll(files.variantImages);
+    stored.push(...variantImages);
+    const updated = await withStockTransaction(async (session) => {
+      const product = await Product.findById(req.params.id).session(session);
+      if (!product) return null;
+      previousMedia = productMediaUrls(product);
+      before = product.toObject();
+      const {
+        stock, salesCount, salesVelocity, salesVelocityAt, ratingAverage, ratingCount,
+        image, imageUrl, additionalMedia, mediaOrder, ...updates
+      } = req.body;
+      if (updates.priceTiers !== undefined) updates.priceTiers = parsePriceTiers(updates);
+      if (updates.sku === '') updates.sku = undefined;
+      if (updates.colors !== undefined) updates.colors = parseList(updates.colors);
+      if (updates.sizes !== undefined) updates.sizes = parseList(updates.sizes);
+      Object.assign(updates, await applyMediaChanges(product, req.body, files, stored));
+
+      const opening = [];
+      if (updates.variants !== undefined) {
+        const incoming = parseVariants(updates, variantImages);
+        const unknownImage = incoming.find(v => v.image
+          && !previousMedia.includes(v.image) && !variantImages.includes(v.image));
+        if (unknownImage) throw Object.assign(new Error(`Unknown media ${unknownImage.image}`), { status: 400 });
+        const keptIds = incoming.filter(v => v._id).map(v => String(v._id));
+        if (!product.variants.length && incoming.length && product.stock > 0) {
+          throw Object.assign(new Error('Adjust stock to zero before adding variants'), { status: 400 });
+        }
+        if (product.variants.some(v => v.stock > 0 && !keptIds.includes(String(v._id)))) {
+          throw Object.assign(new Error('Adjust variant stock to zero before removing it'), { status: 400 });
+        }
+        updates.variants = incoming.map((v, index) => {
+          const existing = v._id && product.variants.id(v._id);
+          if (existing) return { ...v, stock: existing.stock };
+          opening.push({ index, quantity: parseInt(v.stock) || 0 });
+          return { ...v, stock: 0 };
+        });
+      }
+
+      product.set(updates);
+      await product.save({ session }); // runs validation so stock stays the sum of variant stock
+      // New variants are found by position: saved variants keep the order they were sent
+      // in, while their SKUs are trimmed on save and may no longer match what was sent
+      const quantities = opening.map(({ index, quantity }) => {
+        const variant = product.variants[index];
+        if (!variant) throw Object.assign(new Error('New variant was not saved'), { status: 400 });
+        return { variant: variant._id, quantity };
+      });
+      await receiveOpeningStock(product._id, quantities, req.user._id, session);
+      return Product.findById(product._id).session(session);
+    });
+    if (!updated) return res.status(404).json({ message: 'Product not found' });
+    await recordAudit(req, {
+      action: 'product.update',
+      targetType: 'product',
+      targetId: updated._id,
+      targetLabel: updated.name,
+      before,
+      after: updated
+    });
+    const currentMedia = productMediaUrls(updated);
+    removeUnusedMedia(previousMedia.filter(url => !currentMedia.includes(url)))
+      .catch(err => console.log(err));
+    res.json(updated);
   } catch (err) {
-    res.status(400).json({ message: err.message });
+    removeUnusedMedia(stored).catch(cleanupErr => console.log(cleanupErr));
+    res.status(err.status || 400).json({ message: err.message });
   }
 });
 
-// Delete product
-router.delete('/:id', auth, adminAuth, async (req, res) => {
+// Delete product and its reviews, along with any media files nothing else uses
+router.delete('/:id', auth, requirePermission('products:delete'), async (req, res) => {
   try {
-    await Product.findByIdAndDelete(req.params.id);
+    const product = await Product.findByIdAndDelete(req.params.id);
+    if (product) {
+      const reviews = await Review.find({ product: product._id }).select('photos');
+      await Review.deleteMany({ product: product._id });
+      removeUnusedMedia([...productMediaUrls(product), ...reviews.flatMap(r => r.photos)])
+        .catch(err => console.log(err));
+      await Placement.deleteMany({ product: product._id });
+      await recordAudit(req, {
+        action: 'product.delete',
+        targetType: 'product',
+        targetId: product._id,
+        targetLabel: product.name,
+        before: product
+      });
+    }
     res.json({ message: 'Product deleted' });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-// Update stock
-router.patch('/:id/stock', auth, adminAuth, async (req, res) => {
+// Manual stock movements: receipt adds stock, damage removes it, adjustment is signed
+const MANUAL_MOVEMENTS = {
+  receipt: q => Math.abs(q),
+  damage: q => -Math.abs(q),
+  adjustment: q => q
+};
+
+// Record a stock movement (admin)
+router.post('/:id/movements', auth, requirePermission('inventory:adjust'), async (req, res) => {
+  const { type, quantity, reason, variant } = req.body;
+  if (!MANUAL_MOVEMENTS[type]) return res.status(400).json({ message: 'Invalid movement type' });
+  const delta = MANUAL_MOVEMENTS[type](parseInt(quantity));
+  if (!delta) return res.status(400).json({ message: 'Quantity must be a non-zero number' });
+
   try {
-    const { stock } = req.body;
-    const product = await Product.findByIdAndUpdate(req.params.id, { stock }, { new: true });
-    if (!product) return res.status(404).json({ message: 'Product not found' });
-    res.json(product);
+    const product = await withStockTransaction(session => recordMovement({
+      product: req.params.id, variant, type, quantity: delta, reason, actor: req.user._id
+    }, session));
+    if (!product) {
+      return res.status(409).json({ message: 'Product or variant not found, or not enough stock' });
+    }
+    await recordAudit(req, {
+      action: 'stock.movement',
+      targetType: 'product',
+      targetId: product._id,
+      targetLabel: product.name,
+      before: { stock: product.stock - delta },
+      after: { stock: product.stock },
+      meta: { type, quantity: delta, variant, reason }
+    });
+    res.status(201).json(product);
   } catch (err) {
     res.status(400).json({ message: err.message });
   }
 });
 
+// Stock movement history (admin)
+router.get('/:id/movements', auth, requirePermission('inventory:view'), async (req, res) => {
+  try {
+    const filter = { product: req.params.id };
+    if (req.query.variant) filter.variant = req.query.variant;
+    const movements = await InventoryMovement.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 100, 500))
+      .populate('actor', 'name role');
+    res.json(movements);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Set stock to a counted value (pass variant for products with variants);
+// the difference is recorded as an adjustment
+router.patch('/:id/stock', auth, requirePermission('inventory:adjust'), async (req, res) => {
+  try {
+    const { stock, variant, reason } = req.body;
+    const target = parseInt(stock);
+    if (isNaN(target) || target < 0) return res.status(400).json({ message: 'Invalid stock' });
+    let counted;
+    const updated = await withStockTransaction(async (session) => {
+      const product = await Product.findById(req.params.id).session(session);
+      if (!product) return null;
+      let current = product.stock;
+      if (product.variants.length) {
+        const v = product.variants.id(variant);
+        if (!v) throw Object.assign(new Error('Variant required for products with variants'), { status: 400 });
+        current = v.stock;
+      }
+      counted = current;
+      if (target === current) return product;
+      const adjusted = await recordMovement({
+        product: product._id,
+        variant: product.variants.length ? variant : undefined,
+        type: 'adjustment',
+        quantity: target - current,
+        reason: reason || 'Stock count',
+        actor: req.user._id
+      }, session);
+      if (!adjusted) throw Object.assign(new Error('Stock changed, please retry'), { status: 409 });
+      return adjusted;
+    });
+    if (!updated) return res.status(404).json({ message: 'Product not found' });
+    if (counted !== target) {
+      await recordAudit(req, {
+        action: 'stock.count',
+        targetType: 'product',
+        targetId: updated._id,
+        targetLabel: updated.name,
+        before: { stock: counted },
+        after: { stock: target },
+        meta: { variant, reason }
+      });
+    }
+    res.json(updated);
+  } catch (err) {
+    res.status(err.status || 400).json({ message: err.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
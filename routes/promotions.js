@@ -0,0 +1,142 @@
+const express = require('express');
+const Promotion = require('../models/Promotion');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { auth, requirePermission } = require('../middleware/auth');
+const { applyPromotions } = require('../services/promotions');
+const { unitPrice } = require('../services/pricing');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+const PROMOTION_FIELDS = [
+  'code', 'description', 'type', 'value', 'buyQty', 'getQty', 'getDiscount', 'scope', 'minSpend',
+  'usageLimit', 'perCustomerLimit', 'startsAt', 'endsAt', 'stackable', 'active'
+];
+
+// Empty form fields clear optional limits and dates
+const promotionData = body => Object.fromEntries(PROMOTION_FIELDS
+  .filter(f => body[f] !== undefined)
+  .map(f => [f, body[f] === '' ? null : body[f]]));
+
+// Check codes against a cart before checkout (user). Nothing is reserved or redeemed.
+router.post('/validate', auth, async (req, res) => {
+  try {
+    const items = req.body.products || [];
+    const products = await Product.find({ _id: { $in: items.map(i => i.product) } });
+    const lines = items.map((item) => {
+      const product = products.find(p => p._id.equals(item.product));
+      if (!product) throw Object.assign(new Error('Product not found'), { status: 404 });
+      const variant = item.variant ? product.variants.id(item.variant) : null;
+      const quantity = parseInt(item.quantity) || 1;
+      return { product: product._id, price: unitPrice(product, variant, quantity, req.user), quantity };
+    });
+    const subtotal = Math.round(lines.reduce((sum, l) => sum + l.price * l.quantity, 0) * 100) / 100;
+    const codes = req.body.promoCodes || (req.body.promoCode ? [req.body.promoCode] : []);
+    const result = await applyPromotions(codes, lines, req.user);
+    res.json({ subtotal, ...result, total: Math.round((subtotal - result.discount) * 100) / 100 });
+  } catch (err) {
+    res.status(err.status || 400).json({ message: err.message });
+  }
+});
+
+// List promotions with redemption stats from non-cancelled orders (admin)
+router.get('/', auth, requirePermission('promotions:manage'), async (req, res) => {
+  try {
+    const promotions = await Promotion.find()
+      .sort({ createdAt: -1 })
+      .populate('scope.products', 'name')
+      .populate('scope.categories', 'name');
+    const stats = await Order.aggregate([
+      { $match: { 'promotions.0': { $exists: true }, status: { $ne: 'cancelled' } } },
+      { $unwind: '$promotions' },
+      {
+        $group: {
+          _id: '$promotions.promotion',
+          orders: { $sum: 1 },
+          customers: { $addToSet: '$user' },
+          discountGiven: { $sum: '$promotions.discount' },
+          revenue: { $sum: '$total' }
+        }
+      }
+    ]);
+    res.json(promotions.map((p) => {
+      const s = stats.find(row => row._id && row._id.equals(p._id));
+      return {
+        ...p.toObject(),
+        stats: {
+          orders: s ? s.orders : 0,
+          customers: s ? s.customers.length : 0,
+          discountGiven: s ? Math.round(s.discountGiven * 100) / 100 : 0,
+          revenue: s ? Math.round(s.revenue * 100) / 100 : 0
+        }
+      };
+    }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Create a promotion (admin)
+router.post('/', auth, requirePermission('promotions:manage'), async (req, res) => {
+  try {
+    const promotion = await Promotion.create(promotionData(req.body));
+    await recordAudit(req, {
+      action: 'promotion.create',
+      targetType: 'promotion',
+      targetId: promotion._id,
+      targetLabel: promotion.code,
+      after: promotion
+    });
+    res.status(201).json(promotion);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Update a promotion (admin)
+router.put('/:id', auth, requirePermission('promotions:manage'), async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) return res.status(404).json({ message: 'Promotion not found' });
+    const before = promotion.toObject();
+    const { redemptionCount, ...updates } = promotionData(req.body);
+    promotion.set(updates);
+    await promotion.save();
+    await recordAudit(req, {
+      action: 'promotion.update',
+      targetType: 'promotion',
+      targetId: promotion._id,
+      targetLabel: promotion.code,
+      before,
+      after: promotion
+    });
+    res.json(promotion);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Delete a promotion that was never redeemed (admin); redeemed ones should be deactivated
+router.delete('/:id', auth, requirePermission('promotions:manage'), async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) return res.status(404).json({ message: 'Promotion not found' });
+    if (await Order.exists({ 'promotions.promotion': promotion._id })) {
+      return res.status(409).json({ message: 'This code has been used on orders; deactivate it instead' });
+    }
+    await promotion.deleteOne();
+    await recordAudit(req, {
+      action: 'promotion.delete',
+      targetType: 'promotion',
+      targetId: promotion._id,
+      targetLabel: promotion.code,
+      before: promotion
+    });
+    res.json({ message: 'Promotion deleted' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
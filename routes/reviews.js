@@ -0,0 +1,277 @@
+const express = require('express');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const { auth, requirePermission } = require('../middleware/auth');
+const { deliveredOrderFor, refreshRating, ratingBreakdown } = require('../services/reviews');
+const { uploadMedia, storeMedia, removeUnusedMedia } = require('../services/media');
+const { hasPermission } = require('../services/permissions');
+const events = require('../services/events');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+const MAX_LIMIT = 50;
+const REVIEW_FIELDS = ['rating', 'title', 'body'];
+const PHOTO_FIELDS = [{ name: 'photos', maxCount: Review.MAX_PHOTOS }];
+
+// What shoppers see of a review: no order, moderation notes or status
+const PUBLIC_FIELDS = '-order -status -rejectionReason -moderatedBy -moderatedAt';
+
+const SORTS = {
+  newest: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+const reviewData = body => Object.fromEntries(REVIEW_FIELDS
+  .filter(f => body[f] !== undefined)
+  .map(f => [f, body[f]]));
+
+// Multipart sends one value as a string and several as an array; a JSON array also works
+const parseList = (value) => {
+  if (value === undefined || value === '' || Array.isArray(value)) return value || [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [value];
+  } catch (err) {
+    return [value];
+  }
+};
+
+const storePhotos = async (req, stored) => {
+  const files = (req.files && req.files.photos) || [];
+  for (const file of files) stored.push(await storeMedia(file));
+  return stored;
+};
+
+const paging = (query) => {
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), MAX_LIMIT);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  return { limit, page, skip: (page - 1) * limit };
+};
+
+// Approved reviews of a product with its rating summary (public)
+// Query: sort (newest|highest|lowest), rating (only this many stars), page, limit
+router.get('/products/:productId', async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId).select('ratingAverage ratingCount');
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+    const filter = { product: product._id, status: 'approved' };
+    const rating = parseInt(req.query.rating);
+    if (rating) filter.rating = rating;
+    const { limit, page, skip } = paging(req.query);
+    const [reviews, total, breakdown] = await Promise.all([
+      Review.find(filter, PUBLIC_FIELDS)
+        .sort(SORTS[req.query.sort] || SORTS.newest)
+        .skip(skip)
+        .limit(limit)
+        .populate('user', 'name')
+        .populate('reply.author', 'name'),
+      Review.countDocuments(filter),
+      ratingBreakdown(product._id)
+    ]);
+    res.json({
+      ratingAverage: product.ratingAverage,
+      ratingCount: product.ratingCount,
+      breakdown,
+      reviews,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Whether the signed-in customer may review a product, and their review if they wrote one
+router.get('/products/:productId/eligibility', auth, async (req, res) => {
+  try {
+    const [order, review] = await Promise.all([
+      deliveredOrderFor(req.user._id, req.params.productId),
+      Review.findOne({ product: req.params.productId, user: req.user._id })
+    ]);
+    res.json({ canReview: Boolean(order) && !review, review });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// The signed-in customer's reviews, with their moderation status
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const reviews = await Review.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .select('-moderatedBy')
+      .populate('product', 'name image')
+      .populate('reply.author', 'name');
+    res.json(reviews);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Review a product (customer); multipart with rating, title, body and up to five photos.
+// Only customers with a delivered order containing the product may review it, once.
+// The review waits for staff approval before it is shown.
+router.post('/products/:productId', auth, uploadMedia(PHOTO_FIELDS), async (req, res) => {
+  const stored = [];
+  try {
+    const product = await Product.findById(req.params.productId);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+    const order = await deliveredOrderFor(req.user._id, product._id);
+    if (!order) {
+      return res.status(403).json({ message: 'You can review a product once an order containing it has been delivered' });
+    }
+    if (await Review.exists({ product: product._id, user: req.user._id })) {
+      return res.status(409).json({ message: 'You have already reviewed this product; edit your review instead' });
+    }
+    const review = await Review.create({
+      ...reviewData(req.body),
+      product: product._id,
+      user: req.user._id,
+      order: order._id,
+      photos: await storePhotos(req, stored)
+    });
+    events.emit('review.submitted', { review, product });
+    res.status(201).json(review);
+  } catch (err) {
+    removeUnusedMedia(stored).catch(cleanupErr => console.log(cleanupErr));
+    const message = err.code === 11000 ? 'You have already reviewed this product; edit your review instead' : err.message;
+    res.status(err.status || 400).json({ message });
+  }
+});
+
+// Edit your own review (customer). New photos are added; removePhotos lists URLs to drop.
+// An edited review goes back into the moderation queue.
+router.put('/:id', auth, uploadMedia(PHOTO_FIELDS), async (req, res) => {
+  const stored = [];
+  try {
+    const review = await Review.findOne({ _id: req.params.id, user: req.user._id }).populate('product', 'name');
+    if (!review) return res.status(404).json({ message: 'Review not found' });
+    const wasApproved = review.status === 'approved';
+    const removed = parseList(req.body.removePhotos).filter(url => review.photos.includes(url));
+    review.set(reviewData(req.body));
+    review.photos = [...review.photos.filter(url => !removed.includes(url)), ...await storePhotos(req, stored)];
+    review.set({ status: 'pending', rejectionReason: undefined, moderatedBy: undefined, moderatedAt: undefined });
+    review.updatedAt = new Date();
+    await review.save();
+    if (wasApproved) await refreshRating(review.product._id);
+    removeUnusedMedia(removed).catch(err => console.log(err));
+    events.emit('review.submitted', { review, product: review.product });
+    res.json(review);
+  } catch (err) {
+    removeUnusedMedia(stored).catch(cleanupErr => console.log(cleanupErr));
+    res.status(err.status || 400).json({ message: err.message });
+  }
+});
+
+// Delete a review: customers their own, moderators any
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const moderator = hasPermission(req.user, 'reviews:moderate');
+    const filter = moderator ? { _id: req.params.id } : { _id: req.params.id, user: req.user._id };
+    const review = await Review.findOneAndDelete(filter).populate('product', 'name');
+    if (!review) return res.status(404).json({ message: 'Review not found' });
+    if (review.status === 'approved' && review.product) await refreshRating(review.product._id);
+    removeUnusedMedia(review.photos).catch(err => console.log(err));
+    if (moderator && !review.user.equals(req.user._id)) {
+      await recordAudit(req, {
+        action: 'review.delete',
+        targetType: 'review',
+        targetId: review._id,
+        targetLabel: review.product ? review.product.name : undefined,
+        before: review
+      });
+    }
+    res.json({ message: 'Review deleted' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// The moderation queue (admin). Filters: status (default pending), product, rating, page, limit.
+router.get('/', auth, requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const filter = {};
+    const status = req.query.status || 'pending';
+    if (status !== 'all') filter.status = status;
+    if (req.query.product) filter.product = req.query.product;
+    const rating = parseInt(req.query.rating);
+    if (rating) filter.rating = rating;
+    const { limit, page, skip } = paging(req.query);
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('product', 'name image')
+        .populate('user', 'name email')
+        .populate('order', 'invoiceNumber')
+        .populate('moderatedBy', 'name')
+        .populate('reply.author', 'name'),
+      Review.countDocuments(filter)
+    ]);
+    res.json({ reviews, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Approve or reject a review (admin); a rejection reason is shown to the customer
+router.patch('/:id/status', auth, requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be approved or rejected' });
+    }
+    const review = await Review.findById(req.params.id).populate('product', 'name');
+    if (!review) return res.status(404).json({ message: 'Review not found' });
+    const before = review.toObject();
+    review.set({
+      status,
+      rejectionReason: status === 'rejected' ? reason : undefined,
+      moderatedBy: req.user._id,
+      moderatedAt: new Date()
+    });
+    await review.save();
+    if (review.product) await refreshRating(review.product._id);
+    await recordAudit(req, {
+      action: status === 'approved' ? 'review.approve' : 'review.reject',
+      targetType: 'review',
+      targetId: review._id,
+      targetLabel: review.product ? review.product.name : undefined,
+      before,
+      after: review
+    });
+    res.json(review);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Reply publicly to a review (admin); an empty body removes the reply
+router.put('/:id/reply', auth, requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id).populate('product', 'name');
+    if (!review) return res.status(404).json({ message: 'Review not found' });
+    const before = review.toObject();
+    const body = (req.body.body || '').trim();
+    review.reply = body ? { body, author: req.user._id, at: new Date() } : undefined;
+    await review.save();
+    await recordAudit(req, {
+      action: body ? 'review.reply' : 'review.reply_remove',
+      targetType: 'review',
+      targetId: review._id,
+      targetLabel: review.product ? review.product.name : undefined,
+      before,
+      after: review
+    });
+    res.json(await review.populate('reply.author', 'name'));
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+const express = require('express');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { auth, superAdminAuth } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+// List the permissions roles can be built from (superadmin)
+router.get('/permissions', auth, superAdminAuth, (req, res) => {
+  res.json(Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })));
+});
+
+// List custom roles with how many staff hold each (superadmin)
+router.get('/', auth, superAdminAuth, async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 });
+    const counts = await User.aggregate([
+      { $match: { staffRole: { $in: roles.map(r => r._id) } } },
+      { $group: { _id: '$staffRole', count: { $sum: 1 } } }
+    ]);
+    const countFor = id => (counts.find(c => c._id.equals(id)) || { count: 0 }).count;
+    res.json(roles.map(r => ({ ...r.toObject(), members: countFor(r._id) })));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Create a role (superadmin)
+router.post('/', auth, superAdminAuth, async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+    const role = await Role.create({ name, description, permissions });
+    await recordAudit(req, { action: 'role.create', targetType: 'role', targetId: role._id, targetLabel: role.name, after: role });
+    res.status(201).json(role);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Update a role; holders pick up the change on their next request (superadmin)
+router.put('/:id', auth, superAdminAuth, async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+    const before = await Role.findById(req.params.id);
+    if (!before) return res.status(404).json({ message: 'Role not found' });
+    const role = await Role.findByIdAndUpdate(req.params.id, { name, description, permissions }, { new: true, runValidators: true });
+    await recordAudit(req, { action: 'role.update', targetType: 'role', targetId: role._id, targetLabel: role.name, before, after: role });
+    res.json(role);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Delete a role that nobody holds (superadmin). Staff without a role have full
+// access, so removing a role out from under them would widen their permissions.
+router.delete('/:id', auth, superAdminAuth, async (req, res) => {
+  try {
+    const members = await User.countDocuments({ staffRole: req.params.id });
+    if (members) return res.status(409).json({ message: `Role is assigned to ${members} staff member(s)` });
+    const role = await Role.findByIdAndDelete(req.params.id);
+    if (!role) return res.status(404).json({ message: 'Role not found' });
+    await recordAudit(req, { action: 'role.delete', targetType: 'role', targetId: role._id, targetLabel: role.name, before: role });
+    res.json({ message: 'Role deleted' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
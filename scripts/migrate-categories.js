@@ -0,0 +1,82 @@
+// Turn the free-text Product.category strings into Category documents. Spellings that
+// differ only in case or spacing ("Shoes", "shoes ") become one top-level category,
+// named after the most used spelling. Category low-stock thresholds, promotion scopes
+// and the old "Shop by Category" product flag are carried over. Safe to run more than once.
+//
+//   npm run migrate:categories
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const Promotion = require('../models/Promotion');
+
+const UNCATEGORISED = 'Uncategorised';
+
+const tidy = name => String(name || '').trim().replace(/\s+/g, ' ') || UNCATEGORISED;
+const keyOf = name => tidy(name).toLowerCase();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/netyarkmall');
+  await Category.init(); // the case-insensitive unique index has to exist before inserting
+
+  // Product models now cast category to an ObjectId, so the old strings are read raw
+  const spellings = await Product.collection.aggregate([
+    { $match: { category: { $type: 'string' } } },
+    { $group: { _id: '$category', count: { $sum: 1 }, featured: { $max: '$isShopByCategory' } } },
+    { $sort: { count: -1 } }
+  ]).toArray();
+
+  const groups = new Map(); // key -> { name, spellings, featured }
+  for (const row of spellings) {
+    const key = keyOf(row._id);
+    if (!groups.has(key)) groups.set(key, { name: tidy(row._id), spellings: [], featured: false });
+    const group = groups.get(key);
+    group.spellings.push(row._id);
+    group.featured = group.featured || !!row.featured;
+  }
+
+  const existing = await Category.find({ parent: null });
+  const idsByKey = new Map(existing.map(c => [keyOf(c.name), c._id]));
+  let created = 0;
+  let moved = 0;
+  for (const [key, group] of groups) {
+    let id = idsByKey.get(key);
+    if (!id) {
+      const category = await Category.create({ name: group.name, sortOrder: idsByKey.size, featured: group.featured });
+      id = category._id;
+      idsByKey.set(key, id);
+      created++;
+    } else if (group.featured) {
+      await Category.updateOne({ _id: id }, { featured: true });
+    }
+    const { modifiedCount } = await Product.collection.updateMany(
+      { category: { $in: group.spellings } },
+      { $set: { category: id } }
+    );
+    moved += modifiedCount;
+  }
+
+  // Thresholds used to live in their own collection, keyed by category name
+  const thresholds = await mongoose.connection.collection('categorythresholds').find().toArray();
+  for (const row of thresholds) {
+    const id = idsByKey.get(keyOf(row.category));
+    if (id) await Category.updateOne({ _id: id, lowStockThreshold: null }, { lowStockThreshold: row.threshold });
+  }
+
+  const promotions = await Promotion.collection.find({ 'scope.categories': { $type: 'string' } }).toArray();
+  for (const promotion of promotions) {
+    const categories = promotion.scope.categories
+      .map(c => (typeof c === 'string' ? idsByKey.get(keyOf(c)) : c))
+      .filter(Boolean);
+    await Promotion.collection.updateOne({ _id: promotion._id }, { $set: { 'scope.categories': categories } });
+  }
+
+  console.log(`Created ${created} categories from ${spellings.length} spellings; moved ${moved} products`);
+  console.log(`Carried over ${thresholds.length} thresholds and updated ${promotions.length} promotions`);
+  await mongoose.disconnect();
+};
+
+migrate().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
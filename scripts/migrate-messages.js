@@ -0,0 +1,47 @@
+// Turn messages from the old single-message format ({ sender, message, response })
+// into conversations. Safe to run more than once: converted messages are skipped.
+//
+//   npm run migrate:messages
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/netyarkmall');
+  const legacy = await Message.collection.find({ conversation: { $exists: false } }).toArray();
+  for (const old of legacy) {
+    const customer = mongoose.isValidObjectId(old.sender) ? await User.findById(old.sender) : null;
+    const sentAt = old.timestamp || new Date();
+    // Written directly so guests without an email (which the old form never asked for) are kept
+    const { insertedId } = await Conversation.collection.insertOne({
+      customer: customer ? customer._id : undefined,
+      guestName: customer ? undefined : old.sender,
+      subject: 'General enquiry',
+      legacy: true,
+      status: old.response ? 'pending' : 'open',
+      unreadForStaff: old.isRead ? 0 : 1,
+      unreadForCustomer: old.response ? 1 : 0,
+      lastMessageAt: sentAt,
+      createdAt: sentAt
+    });
+    await Message.collection.updateOne(
+      { _id: old._id },
+      {
+        $set: { conversation: insertedId, author: customer ? customer._id : undefined, authorType: 'customer', body: old.message },
+        $unset: { sender: '', message: '', response: '', isRead: '' }
+      }
+    );
+    if (old.response) {
+      await Message.create({ conversation: insertedId, authorType: 'staff', body: old.response, timestamp: sentAt });
+    }
+  }
+  console.log(`Converted ${legacy.length} messages into conversations`);
+  await mongoose.disconnect();
+};
+
+migrate().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+// Replace the hand-set homepage flags on products with section placements.
+// Products flagged "Shop by Category" become open-ended pins, newest first; the New
+// Arrivals and Fast-Selling flags are dropped, since those sections are now worked
+// out from createdAt and recent sales. Run after migrate:categories, which reads the
+// Shop by Category flag too. Safe to run more than once.
+//
+//   npm run migrate:sections
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Placement = require('../models/Placement');
+
+const OLD_FLAGS = ['isNewArrival', 'isFastSelling', 'isShopByCategory'];
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/netyarkmall');
+
+  // The flags are no longer in the schema, so they are read raw
+  const flagged = await Product.collection.find({ isShopByCategory: true }).sort({ createdAt: -1 }).toArray();
+  const last = await Placement.findOne({ section: 'shop-by-category' }).sort({ position: -1 });
+  let position = last ? last.position + 1 : 0;
+  let pinned = 0;
+  for (const product of flagged) {
+    const { upsertedCount } = await Placement.updateOne(
+      { section: 'shop-by-category', product: product._id },
+      { $setOnInsert: { action: 'pin', position: position++, note: 'Migrated from the Shop by Category flag' } },
+      { upsert: true }
+    );
+    pinned += upsertedCount;
+  }
+
+  const { modifiedCount } = await Product.collection.updateMany(
+    { $or: OLD_FLAGS.map(flag => ({ [flag]: { $exists: true } })) },
+    { $unset: Object.fromEntries(OLD_FLAGS.map(flag => [flag, ''])) }
+  );
+  for (const flag of OLD_FLAGS) {
+    await Product.collection.dropIndex(`${flag}_1_createdAt_-1`).catch(() => {}); // already gone
+  }
+
+  console.log(`Pinned ${pinned} products to Shop by Category; cleared the old flags on ${modifiedCount} products`);
+  await mongoose.disconnect();
+};
+
+migrate().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
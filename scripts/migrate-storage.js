@@ -0,0 +1,42 @@
+// Copy every uploaded file from one storage backend to another.
+// Product records keep their "/uploads/<key>" paths, so no database changes are needed;
+// point STORAGE_DRIVER at the new backend once the copy has finished.
+//
+//   npm run migrate:storage -- --from local --to s3 [--delete-source]
+require('dotenv').config();
+const { createStorage } = require('../services/storage');
+
+const arg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const migrate = async () => {
+  const from = arg('from');
+  const to = arg('to');
+  const deleteSource = process.argv.includes('--delete-source');
+  if (!from || !to || from === to) {
+    throw new Error('Usage: migrate-storage --from <local|s3> --to <local|s3> [--delete-source]');
+  }
+
+  const source = createStorage(from);
+  const target = createStorage(to);
+  const keys = await source.list();
+  let copied = 0;
+  let skipped = 0;
+  for (const key of keys) {
+    if (await target.exists(key)) {
+      skipped++;
+    } else {
+      await target.put(key, await source.get(key));
+      copied++;
+    }
+    if (deleteSource) await source.delete(key);
+  }
+  console.log(`${keys.length} files: ${copied} copied, ${skipped} already present${deleteSource ? ', source deleted' : ''}`);
+};
+
+migrate().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -16,25 +16,74 @@ app.use(cors({
   ],
   credentials: false
 }));
-app.use(express.json());
+// The raw bytes are kept for payment webhook signature checks
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.static('public'));
-app.use('/uploads', express.static('backend/uploads'));
+
+// Uploaded media is served from whichever storage backend is configured
+const { getStorage } = require('./services/storage');
+app.get('/uploads/:key', (req, res) => getStorage().serve(req.params.key, res));
 
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/netyarkmall').then(() => console.log('MongoDB connected'))
   .catch(err => console.log(err));
 
+// Payments stay switched off until a provider and its secret are configured. Once they
+// are, unpaid orders give their reserved stock back after PAYMENT_TIMEOUT_MINUTES.
+const { getProvider } = require('./services/payments');
+const { startPaymentExpiryJob } = require('./services/payments/expiry');
+try {
+  getProvider();
+  startPaymentExpiryJob();
+} catch (err) {
+  console.log(err.message);
+}
+
+// Fast-selling products are ranked by recent sales, recomputed every FAST_SELLING_REFRESH_MINUTES
+const { startFastSellingJob } = require('./services/merchandising');
+startFastSellingJob();
+
 const authRoutes = require('./routes/auth');
 app.use('/api/auth', authRoutes);
 
 const productRoutes = require('./routes/products');
 app.use('/api/products', productRoutes);
 
+const categoryRoutes = require('./routes/categories');
+app.use('/api/categories', categoryRoutes);
+
 const orderRoutes = require('./routes/orders');
 app.use('/api/orders', orderRoutes);
 
 const messageRoutes = require('./routes/messages');
 app.use('/api/messages', messageRoutes);
 
+const analyticsRoutes = require('./routes/analytics');
+app.use('/api/analytics', analyticsRoutes);
+
+const eventRoutes = require('./routes/events');
+app.use('/api/events', eventRoutes);
+
+const roleRoutes = require('./routes/roles');
+app.use('/api/roles', roleRoutes);
+
+const auditRoutes = require('./routes/audit');
+app.use('/api/audit', auditRoutes);
+
+const promotionRoutes = require('./routes/promotions');
+app.use('/api/promotions', promotionRoutes);
+
+const paymentRoutes = require('./routes/payments');
+app.use('/api/payments', paymentRoutes);
+
+const deliveryRoutes = require('./routes/delivery');
+app.use('/api/delivery', deliveryRoutes);
+
+const merchandisingRoutes = require('./routes/merchandising');
+app.use('/api/merchandising', merchandisingRoutes);
+
+const reviewRoutes = require('./routes/reviews');
+app.use('/api/reviews', reviewRoutes);
+
 app.get('/', async (req, res) => {
   try {
     const superadmin = await User.findOne({ role: 'superadmin' });
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const Order = require('../models/Order');
+const Session = require('../models/Session');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Review = require('../models/Review');
+const { refreshRating } = require('./reviews');
+const { removeUnusedMedia } = require('./media');
+
+// Stands in for the phone on anonymised order addresses, where a phone is required;
+// it passes the Ghana phone check so those orders can still be saved
+const PLACEHOLDER_PHONE = '0200000000';
+
+// Support threads keep their staff replies for the record, but lose who the customer
+// was (including guest threads started under the same email) and what they wrote
+const anonymiseConversations = async (user) => {
+  const filter = { $or: [{ customer: user._id }, { guestEmail: user.email }] };
+  const ids = await Conversation.find(filter).distinct('_id');
+  await Conversation.updateMany(filter, {
+    $set: { guestName: 'Deleted user', guestEmail: `deleted-${user._id}@deleted.invalid` },
+    $unset: { guestToken: '' }
+  });
+  await Message.updateMany({ conversation: { $in: ids }, authorType: 'customer' }, { $set: { body: '[removed]' } });
+};
+
+// Reviews are removed outright, with their photos, and the products re-rated
+const removeReviews = async (user) => {
+  const reviews = await Review.find({ user: user._id });
+  await Review.deleteMany({ user: user._id });
+  const rated = reviews.filter(r => r.status === 'approved').map(r => String(r.product));
+  for (const product of new Set(rated)) await refreshRating(product);
+  removeUnusedMedia(reviews.flatMap(r => r.photos)).catch(err => console.log(err));
+};
+
+// Strip personal data from an account while keeping its orders attached, so sales
+// history and analytics stay intact. The random password means it can't sign in again.
+const anonymiseUser = async (user) => {
+  await Order.updateMany(
+    { user: user._id, shippingAddress: { $exists: true } },
+    {
+      $set: { 'shippingAddress.recipientName': 'Deleted user', 'shippingAddress.phone': PLACEHOLDER_PHONE },
+      $unset: {
+        'shippingAddress.street': '',
+        'shippingAddress.landmark': '',
+        'shippingAddress.gpsCode': ''
+      }
+    }
+  );
+  await anonymiseConversations(user);
+  await removeReviews(user);
+  user.name = 'Deleted user';
+  user.email = `deleted-${user._id}@deleted.invalid`;
+  user.password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+  user.role = 'customer';
+  user.staffRole = undefined;
+  user.phone = undefined;
+  user.addresses = [];
+  user.pendingEmail = undefined;
+  user.emailVerificationHash = undefined;
+  user.emailVerificationExpires = undefined;
+  user.passwordResetHash = undefined;
+  user.passwordResetExpires = undefined;
+  user.deletedAt = new Date();
+  await user.save();
+  await Session.deleteMany({ user: user._id });
+};
+
+module.exports = { anonymiseUser, anonymiseConversations };
@@ -0,0 +1,50 @@
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into the log
+const SECRET_FIELDS = [
+  '__v', 'password', 'passwordResetHash', 'passwordResetExpires', 'guestToken', 'tokenHash',
+  'pendingEmail', 'emailVerificationHash', 'emailVerificationExpires'
+];
+
+const plain = (value) => {
+  if (!value) return {};
+  const obj = value.toObject ? value.toObject({ flattenMaps: true, depopulate: true }) : value;
+  return JSON.parse(JSON.stringify(obj));
+};
+
+// Keep only the top-level fields that differ. A create has no before and a
+// delete no after, so those record the whole document.
+const diff = (before, after) => {
+  const a = plain(before);
+  const b = plain(after);
+  const changes = { before: {}, after: {} };
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (SECRET_FIELDS.includes(key) || JSON.stringify(a[key]) === JSON.stringify(b[key])) continue;
+    if (key in a) changes.before[key] = a[key];
+    if (key in b) changes.after[key] = b[key];
+  }
+  return changes;
+};
+
+// Record an administrative action. Failures are logged rather than thrown: the
+// action itself has already happened by the time this runs.
+const recordAudit = async (req, { action, targetType, targetId, targetLabel, before, after, meta, actor = req.user }) => {
+  try {
+    await AuditLog.create({
+      actor: actor && actor._id,
+      actorName: actor && actor.name,
+      action,
+      targetType,
+      targetId: targetId && String(targetId),
+      targetLabel,
+      ...diff(before, after),
+      meta,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (err) {
+    console.log(err);
+  }
+};
+
+module.exports = { diff, recordAudit };
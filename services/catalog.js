@@ -0,0 +1,113 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Placement = require('../models/Placement');
+const { resolveCategoryIds } = require('./categories');
+const { sectionProductIds } = require('./merchandising');
+
+const SORTS = {
+  newest: { createdAt: -1 },
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: 1 },
+  popular: { salesCount: -1, createdAt: -1 },
+  rating: { ratingAverage: -1, ratingCount: -1, _id: 1 }
+};
+
+const MAX_LIMIT = 100;
+
+const toList = value => (Array.isArray(value) ? value : String(value).split(','))
+  .map(v => v.trim())
+  .filter(v => v);
+
+const toBool = value => value === true || value === 'true' || value === '1';
+
+// Translate storefront query params into a MongoDB filter. category takes ids, slugs
+// or names and matches their subcategories too.
+const buildFilter = async (query) => {
+  const filter = {};
+  if (query.q) filter.$text = { $search: String(query.q) };
+  if (query.category) filter.category = { $in: await resolveCategoryIds(toList(query.category)) };
+  if (query.brand) filter.brand = { $in: toList(query.brand) };
+
+  const minPrice = parseFloat(query.minPrice);
+  const maxPrice = parseFloat(query.maxPrice);
+  if (!isNaN(minPrice) || !isNaN(maxPrice)) {
+    filter.price = {};
+    if (!isNaN(minPrice)) filter.price.$gte = minPrice;
+    if (!isNaN(maxPrice)) filter.price.$lte = maxPrice;
+  }
+
+  if (toBool(query.inStock)) filter.stock = { $gt: 0 };
+  if (query.wholesale !== undefined) filter.isWholesale = toBool(query.wholesale);
+  // Every listed section must contain the product
+  const sections = query.section ? toList(query.section).filter(s => Placement.SECTIONS.includes(s)) : [];
+  if (sections.length) {
+    const members = await Promise.all(sections.map(s => sectionProductIds(s)));
+    filter.$and = members.map(ids => ({ _id: { $in: ids } }));
+  }
+  return filter;
+};
+
+const buildSort = (query) => {
+  if (SORTS[query.sort]) return SORTS[query.sort];
+  return query.q ? { score: { $meta: 'textScore' }, _id: 1 } : SORTS.newest;
+};
+
+// Every product matching the query, in sort order, without pagination or facets
+const listProducts = async query => Product.find(await buildFilter(query), query.q ? { score: { $meta: 'textScore' } } : {})
+  .sort(buildSort(query))
+  .populate('category', 'name slug');
+
+// Run a catalog search with page-based pagination, total count and facet counts
+const searchProducts = async (query) => {
+  const filter = await buildFilter(query);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), MAX_LIMIT);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const projection = query.q ? { score: { $meta: 'textScore' } } : {};
+
+  const [products, [facets]] = await Promise.all([
+    Product.find(filter, projection)
+      .sort(buildSort(query))
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('category', 'name slug'),
+    Product.aggregate([
+      { $match: filter },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          categories: [{ $group: { _id: '$category', count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+          brands: [
+            { $match: { brand: { $nin: [null, ''] } } },
+            { $group: { _id: '$brand', count: { $sum: 1 } } },
+            { $sort: { count: -1 } }
+          ],
+          price: [{ $group: { _id: null, min: { $min: '$price' }, max: { $max: '$price' } } }],
+          inStock: [{ $match: { stock: { $gt: 0 } } }, { $count: 'count' }],
+          wholesale: [{ $match: { isWholesale: true } }, { $count: 'count' }]
+        }
+      }
+    ])
+  ]);
+
+  const total = facets.total.length ? facets.total[0].count : 0;
+  const facetCategories = await Category.find({ _id: { $in: facets.categories.map(f => f._id) } }).select('name slug');
+  return {
+    products,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+    facets: {
+      categories: facets.categories.map((f) => {
+        const category = facetCategories.find(c => c._id.equals(f._id));
+        return { value: f._id, name: category && category.name, slug: category && category.slug, count: f.count };
+      }),
+      brands: facets.brands.map(f => ({ value: f._id, count: f.count })),
+      price: facets.price.length ? { min: facets.price[0].min, max: facets.price[0].max } : null,
+      inStock: facets.inStock.length ? facets.inStock[0].count : 0,
+      wholesale: facets.wholesale.length ? facets.wholesale[0].count : 0
+    }
+  };
+};
+
+module.exports = { searchProducts, listProducts };
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+
+const SEPARATOR = ' > ';
+
+// Nest a flat list into { ...category, children } trees, siblings in display order
+const buildTree = (categories) => {
+  const nodes = new Map(categories.map(c => [String(c._id), { ...c.toObject(), children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(String(node.parent));
+    (parent ? parent.children : roots).push(node);
+  }
+  const sort = list => list.sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name))
+    .forEach(node => sort(node.children));
+  sort(roots);
+  return roots;
+};
+
+// Full names like "Fashion > Shoes", keyed by category id
+const categoryPaths = async () => {
+  const categories = await Category.find().select('name ancestors');
+  const names = new Map(categories.map(c => [String(c._id), c.name]));
+  return new Map(categories.map(c => [
+    String(c._id),
+    [...c.ancestors.map(id => names.get(String(id))), c.name].join(SEPARATOR)
+  ]));
+};
+
+// Ids for categories given as ids, slugs or names (as storefront links used before
+// categories had slugs), each with its whole subtree
+const resolveCategoryIds = async (values) => {
+  const ids = values.filter(v => mongoose.isValidObjectId(v));
+  const roots = await Category.find({ $or: [{ _id: { $in: ids } }, { slug: { $in: values } }, { name: { $in: values } }] })
+    .collation({ locale: 'en', strength: 2 })
+    .select('_id');
+  const rootIds = roots.map(c => c._id);
+  const descendants = await Category.find({ ancestors: { $in: rootIds } }).select('_id');
+  return [...rootIds, ...descendants.map(c => c._id)];
+};
+
+// Look up a category from a spreadsheet cell: its slug, its full path, or its
+// name when only one category has it. Comparisons ignore case.
+const categoryLookup = async () => {
+  const [categories, paths] = await Promise.all([Category.find().select('name slug'), categoryPaths()]);
+  return (label) => {
+    const wanted = label.trim().toLowerCase();
+    const bySlugOrPath = categories.find(c => c.slug === wanted || paths.get(String(c._id)).toLowerCase() === wanted);
+    if (bySlugOrPath) return bySlugOrPath;
+    const byName = categories.filter(c => c.name.toLowerCase() === wanted);
+    return byName.length === 1 ? byName[0] : null;
+  };
+};
+
+// After a category moves, rewrite the ancestors of everything below it
+const updateDescendantPaths = async (category) => {
+  const descendants = await Category.find({ ancestors: category._id });
+  if (!descendants.length) return;
+  await Category.bulkWrite(descendants.map((d) => {
+    const below = d.ancestors.slice(d.ancestors.findIndex(id => id.equals(category._id)) + 1);
+    return {
+      updateOne: {
+        filter: { _id: d._id },
+        update: { $set: { ancestors: [...category.ancestors, category._id, ...below] } }
+      }
+    };
+  }));
+};
+
+module.exports = { SEPARATOR, buildTree, categoryPaths, resolveCategoryIds, categoryLookup, updateDescendantPaths };
@@ -0,0 +1,59 @@
+const DeliveryZone = require('../models/DeliveryZone');
+const Product = require('../models/Product');
+
+const deliveryError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// A zone listing the address's city beats one that covers its whole region
+const matchZone = (zones, address) => {
+  const city = address.city.trim().toLowerCase();
+  const inRegion = zones.filter(z => z.regions.includes(address.region));
+  return inRegion.find(z => z.cities.some(c => c.toLowerCase() === city))
+    || inRegion.find(z => !z.cities.length);
+};
+
+// Total shipping weight of order lines ({ product, quantity }); products without a
+// weight count as zero
+const parcelWeight = async (lines, session) => {
+  const products = await Product.find({ _id: { $in: lines.map(l => l.product) } })
+    .select('weightKg')
+    .session(session || null);
+  const weight = lines.reduce((sum, line) => {
+    const product = products.find(p => p._id.equals(line.product));
+    return sum + ((product && product.weightKg) || 0) * line.quantity;
+  }, 0);
+  return Math.round(weight * 1000) / 1000;
+};
+
+// Work out how an order gets to the customer and what it costs. Returns the
+// delivery details to store on the order and the fee. Until any delivery zones
+// are set up, delivery is free and unzoned, as it was before zones existed.
+const quoteDelivery = async ({ method = 'delivery', pickupPointId, address, lines, freeDelivery }, session) => {
+  if (!DeliveryZone.METHODS.includes(method)) throw deliveryError('Invalid delivery method', 400);
+  const weightKg = await parcelWeight(lines, session);
+
+  if (method === 'pickup') {
+    const point = pickupPointId
+      && await DeliveryZone.findOne({ _id: pickupPointId, method: 'pickup', active: true }).session(session || null);
+    if (!point) throw deliveryError('Choose a pickup point', 400);
+    return {
+      delivery: { method, zone: point._id, zoneName: point.name, pickupAddress: point.pickupAddress, estimatedDays: point.estimatedDays, weightKg },
+      fee: freeDelivery ? 0 : point.feeFor(weightKg)
+    };
+  }
+
+  const zones = await DeliveryZone.find({ method: 'delivery', active: true }).session(session || null);
+  if (!zones.length) return { delivery: { method, weightKg }, fee: 0 };
+  if (!address) throw deliveryError('Add a delivery address or choose pickup', 400);
+  const zone = matchZone(zones, address);
+  if (!zone) throw deliveryError(`We don't deliver to ${address.city}, ${address.region} yet`, 400);
+  return {
+    delivery: { method, zone: zone._id, zoneName: zone.name, estimatedDays: zone.estimatedDays, weightKg },
+    fee: freeDelivery ? 0 : zone.feeFor(weightKg)
+  };
+};
+
+module.exports = { matchZone, parcelWeight, quoteDelivery };
@@ -0,0 +1,153 @@
+const PDFDocument = require('pdfkit');
+
+const STORE = {
+  name: process.env.STORE_NAME || 'NetyarkMall',
+  address: process.env.STORE_ADDRESS || 'Accra, Ghana',
+  phone: process.env.STORE_PHONE,
+  email: process.env.STORE_EMAIL
+};
+
+const PAGE_BOTTOM = 760; // A4 is 842pt tall; leave room for the footer
+
+const money = n => `GHS ${(n || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const optionsText = (options) => {
+  const values = options instanceof Map ? Object.fromEntries(options) : options || {};
+  return Object.entries(values).map(([k, v]) => `${k}: ${v}`).join(', ');
+};
+
+const addressLines = a => (a ? [
+  a.recipientName, a.phone, a.street, a.landmark, [a.city, a.region].filter(Boolean).join(', '), a.gpsCode
+].filter(Boolean) : ['Collect in store']);
+
+// Render into a Buffer; build(doc) draws the pages
+const toBuffer = build => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  build(doc);
+  doc.end();
+});
+
+const drawHeader = (doc, title, order) => {
+  doc.font('Helvetica-Bold').fontSize(20).text(STORE.name, 50, 50);
+  doc.font('Helvetica').fontSize(9).fillColor('#555')
+    .text([STORE.address, STORE.phone, STORE.email].filter(Boolean).join('  |  '));
+  doc.fillColor('#000').font('Helvetica-Bold').fontSize(16).text(title, 50, 50, { align: 'right' });
+  doc.font('Helvetica').fontSize(10)
+    .text(`${order.invoiceNumber || ''}`, { align: 'right' })
+    .text(`Order ${order._id}`, { align: 'right' })
+    .text(new Date(order.createdAt).toLocaleDateString('en-GB'), { align: 'right' });
+  doc.moveTo(50, 120).lineTo(545, 120).strokeColor('#ccc').stroke();
+};
+
+const drawParties = (doc, order) => {
+  const top = 135;
+  const customer = order.user && order.user.name ? [order.user.name, order.user.email] : ['Customer'];
+  doc.font('Helvetica-Bold').fontSize(10).text('Customer', 50, top);
+  doc.font('Helvetica').text(customer.filter(Boolean).join('\n'), 50, top + 14, { width: 230 });
+  const pickup = order.delivery && order.delivery.method === 'pickup';
+  const destination = pickup
+    ? [order.delivery.zoneName, order.delivery.pickupAddress].filter(Boolean)
+    : addressLines(order.shippingAddress);
+  doc.font('Helvetica-Bold').text(pickup ? 'Collect from' : 'Deliver to', 300, top);
+  doc.font('Helvetica').text(destination.join('\n'), 300, top + 14, { width: 245 });
+  doc.y = Math.max(doc.y, top + 80);
+};
+
+// Draw a table; columns are { header, width, align, value(line) }
+const drawTable = (doc, columns, rows) => {
+  const drawRow = (cells, bold) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: columns[i].width - 8 })));
+    if (y + height > PAGE_BOTTOM) {
+      doc.addPage();
+      return drawRow(cells, bold);
+    }
+    let x = 50;
+    cells.forEach((cell, i) => {
+      doc.text(cell, x, y, { width: columns[i].width - 8, align: columns[i].align || 'left' });
+      x += columns[i].width;
+    });
+    doc.y = y + height + 6;
+    doc.moveTo(50, doc.y - 3).lineTo(545, doc.y - 3).strokeColor('#eee').stroke();
+  };
+  drawRow(columns.map(c => c.header), true);
+  rows.forEach(row => drawRow(columns.map(c => String(c.value(row)))));
+};
+
+const lineName = (l) => {
+  const options = optionsText(l.options);
+  return [l.name || (l.product && l.product.name) || 'Product', options && `(${options})`].filter(Boolean).join(' ');
+};
+
+const drawInvoice = (doc, order) => {
+  drawHeader(doc, 'INVOICE', order);
+  drawParties(doc, order);
+  drawTable(doc, [
+    { header: 'Item', width: 235, value: lineName },
+    { header: 'SKU', width: 80, value: l => l.sku || '' },
+    { header: 'Qty', width: 40, align: 'right', value: l => l.quantity },
+    { header: 'Unit price', width: 70, align: 'right', value: l => money(l.price) },
+    { header: 'Amount', width: 70, align: 'right', value: l => money(l.price * l.quantity) }
+  ], order.products);
+
+  const subtotal = order.subtotal != null ? order.subtotal : order.products.reduce((s, l) => s + l.price * l.quantity, 0);
+  const totals = [['Subtotal', money(subtotal)]];
+  if (order.discount) {
+    totals.push([`Discount (${(order.promotions || []).map(p => p.code).join(', ')})`, `-${money(order.discount)}`]);
+  }
+  const zoneName = order.delivery && order.delivery.zoneName;
+  const deliveryLabel = order.delivery && order.delivery.method === 'pickup' ? 'Pickup' : 'Delivery';
+  totals.push([zoneName ? `${deliveryLabel} (${zoneName})` : deliveryLabel, order.freeDelivery ? 'Free' : money(order.deliveryFee)]);
+  totals.push(['Total', money(order.total)]);
+  doc.moveDown();
+  if (doc.y + totals.length * 16 > PAGE_BOTTOM) doc.addPage();
+  totals.forEach(([label, value], i) => {
+    const last = i === totals.length - 1;
+    const y = doc.y;
+    doc.font(last ? 'Helvetica-Bold' : 'Helvetica').fontSize(last ? 12 : 10);
+    doc.text(label, 300, y, { width: 165, align: 'right' });
+    doc.text(value, 465, y, { width: 80, align: 'right' });
+  });
+  doc.font('Helvetica').fontSize(9).fillColor('#555')
+    .text(`Status: ${order.status}. Thank you for shopping with ${STORE.name}.`, 50, PAGE_BOTTOM + 20, { align: 'center', width: 495 })
+    .fillColor('#000');
+};
+
+const drawPackingSlip = (doc, order) => {
+  drawHeader(doc, 'PACKING SLIP', order);
+  drawParties(doc, order);
+  drawTable(doc, [
+    { header: 'Item', width: 295, value: lineName },
+    { header: 'SKU', width: 110, value: l => l.sku || '' },
+    { header: 'Qty', width: 50, align: 'right', value: l => l.quantity },
+    { header: 'Packed', width: 40, align: 'center', value: () => '[  ]' }
+  ], order.products);
+  doc.moveDown(2).font('Helvetica').fontSize(10)
+    .text(`Items: ${order.products.reduce((s, l) => s + l.quantity, 0)}`, 50);
+  const shipment = order.shipment || {};
+  if (shipment.carrier || shipment.trackingReference) {
+    doc.text([
+      shipment.carrier && `Carrier: ${shipment.carrier}${shipment.riderPhone ? ` (${shipment.riderPhone})` : ''}`,
+      shipment.trackingReference && `Tracking: ${shipment.trackingReference}`
+    ].filter(Boolean).join('      '));
+  }
+  doc.moveDown()
+    .text('Packed by: ____________________      Checked by: ____________________');
+};
+
+const invoicePdf = order => toBuffer(doc => drawInvoice(doc, order));
+
+// One page (or more, for long orders) per order
+const packingSlipsPdf = orders => toBuffer((doc) => {
+  orders.forEach((order, i) => {
+    if (i > 0) doc.addPage();
+    drawPackingSlip(doc, order);
+  });
+});
+
+module.exports = { invoicePdf, packingSlipsPdf };
@@ -0,0 +1,6 @@
+const { EventEmitter } = require('events');
+
+// In-process bus for domain events such as 'stock.low'
+const events = new EventEmitter();
+
+module.exports = events;
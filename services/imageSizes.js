@@ -0,0 +1,16 @@
+const UPLOAD_URL = '/uploads/'; // see services/storage
+
+// Widths of the WebP renditions generated for every uploaded image
+const IMAGE_SIZES = { thumb: 200, medium: 600, large: 1200 };
+
+// { thumb, medium, large, srcset } for a processed image URL, or null for videos and legacy uploads
+const responsiveImage = (url) => {
+  const match = /^\/uploads\/([a-f0-9]+)-large\.webp$/.exec(url || '');
+  if (!match) return null;
+  const sizes = {};
+  for (const size of Object.keys(IMAGE_SIZES)) sizes[size] = `${UPLOAD_URL}${match[1]}-${size}.webp`;
+  sizes.srcset = Object.entries(IMAGE_SIZES).map(([size, width]) => `${sizes[size]} ${width}w`).join(', ');
+  return sizes;
+};
+
+module.exports = { IMAGE_SIZES, responsiveImage };
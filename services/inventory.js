@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const { unitPrice } = require('./pricing');
+const { fireLowStockAlerts } = require('./stockAlerts');
+
+const orderError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// Movement types that count towards Product.salesCount
+const SALES_TYPES = ['sale', 'cancellation'];
+
+// Apply a signed stock delta and write the matching ledger entry. Negative deltas
+// only succeed when enough stock is on hand, so stock can never go below zero.
+// Returns the updated product, or null when the product/variant is missing or short.
+const recordMovement = async ({ product, variant, type, quantity, reason, actor, order }, session) => {
+  const inc = { stock: quantity };
+  if (SALES_TYPES.includes(type)) inc.salesCount = -quantity;
+
+  let filter;
+  if (variant) {
+    const match = { _id: variant };
+    if (quantity < 0) match.stock = { $gte: -quantity };
+    filter = { _id: product, variants: { $elemMatch: match } };
+    inc['variants.$.stock'] = quantity;
+  } else {
+    filter = { _id: product, 'variants.0': { $exists: false } };
+    if (quantity < 0) filter.stock = { $gte: -quantity };
+  }
+
+  const updated = await Product.findOneAndUpdate(filter, { $inc: inc }, { new: true, session });
+  if (!updated) return null;
+
+  const stockAfter = variant ? updated.variants.id(variant).stock : updated.stock;
+  await InventoryMovement.create([{
+    product, variant, type, quantity, stockAfter, reason, actor, order
+  }], { session });
+  if (session && session.stockChanges) {
+    session.stockChanges.push({ product: updated._id, before: updated.stock - quantity, after: updated.stock });
+    if (variant) session.stockChanges.push({ product: updated._id, variant, before: stockAfter - quantity, after: stockAfter });
+  }
+  return updated;
+};
+
+// Run fn(session) in a transaction and fire low-stock alerts once it has committed.
+// Resolves to whatever fn returns.
+const withStockTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      session.stockChanges = []; // reset on each retry
+      result = await fn(session);
+    });
+    fireLowStockAlerts(session.stockChanges).catch(err => console.log(err));
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Build priced order lines from the catalog and reserve stock for them.
+// Must be called inside a transaction so a failed line rolls back earlier reservations.
+const reserveStock = async (items, buyer, orderId, session) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw orderError('Order must contain at least one product', 400);
+  }
+
+  const lines = [];
+  for (const item of items) {
+    // Whole numbers only: parseInt would quietly turn "2.5" or "3abc" into a quantity
+    const quantity = ['number', 'string'].includes(typeof item.quantity) ? Number(item.quantity) : NaN;
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw orderError('Quantity must be a whole number of at least 1', 400);
+    }
+
+    const product = await recordMovement({
+      product: item.product,
+      variant: item.variant,
+      type: 'sale',
+      quantity: -quantity,
+      actor: buyer._id,
+      order: orderId
+    }, session);
+    if (!product) {
+      const existing = await Product.findById(item.product).session(session);
+      if (!existing) throw orderError('Product not found', 404);
+      if (!item.variant && existing.variants.length) {
+        throw orderError(`Select a variant for ${existing.name}`, 400);
+      }
+      if (item.variant && !existing.variants.id(item.variant)) {
+        throw orderError(`Variant not found for ${existing.name}`, 404);
+      }
+      throw orderError(`Insufficient stock for ${existing.name}`, 409);
+    }
+
+    if (product.isWholesale && quantity < product.minOrderQty) {
+      throw orderError(`Minimum order quantity for ${product.name} is ${product.minOrderQty}`, 400);
+    }
+
+    const variant = item.variant ? product.variants.id(item.variant) : null;
+    lines.push({
+      product: product._id,
+      variant: variant ? variant._id : undefined,
+      sku: variant ? variant.sku : undefined,
+      name: product.name,
+      options: variant ? Object.fromEntries(variant.options) : undefined,
+      price: unitPrice(product, variant, quantity, buyer),
+      quantity
+    });
+  }
+  return lines;
+};
+
+// Put the stock held by an order back on the shelf
+const releaseStock = async (order, actor, session) => {
+  for (const line of order.products) {
+    await recordMovement({
+      product: line.product,
+      variant: line.variant,
+      type: 'cancellation',
+      quantity: line.quantity,
+      reason: `Order ${order._id} cancelled`,
+      actor,
+      order: order._id
+    }, session);
+  }
+};
+
+module.exports = { recordMovement, withStockTransaction, reserveStock, releaseStock };
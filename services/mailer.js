@@ -0,0 +1,26 @@
+const nodemailer = require('nodemailer');
+
+// SMTP settings default to a local catcher (MailHog, Mailpit) on port 1025
+let transport;
+const getTransport = () => {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transport;
+};
+
+const sendMail = ({ to, subject, text, html }) =>
+  getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'NetyarkMall <no-reply@netyarkmall.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+module.exports = { sendMail };
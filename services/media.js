@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Review = require('../models/Review');
+const { IMAGE_SIZES, responsiveImage } = require('./imageSizes');
+const { getStorage, keyFromUrl, urlForKey } = require('./storage');
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif'];
+const VIDEO_TYPES = ['video/mp4', 'video/webm', 'video/quicktime'];
+const VIDEO_EXTENSIONS = { 'video/mp4': '.mp4', 'video/webm': '.webm', 'video/quicktime': '.mov' };
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const MAX_VIDEO_BYTES = 50 * 1024 * 1024;
+const MAX_REQUEST_BYTES = 100 * 1024 * 1024; // all files of one request together
+const MAX_FILES = 61; // the product form: one image, 10 additional media and 50 variant images
+
+const mediaError = message => Object.assign(new Error(message), { status: 400 });
+
+// Like multer.memoryStorage(), but stops reading a file as soon as it passes the limit
+// for its type, or the request's files pass MAX_REQUEST_BYTES between them. Only videos,
+// which fileFilter lets through on additionalMedia alone, may use MAX_VIDEO_BYTES.
+const limitedMemoryStorage = {
+  _handleFile: (req, file, cb) => {
+    const video = VIDEO_TYPES.includes(file.mimetype);
+    const limit = video ? MAX_VIDEO_BYTES : MAX_IMAGE_BYTES;
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      file.stream.removeAllListeners('data');
+      file.stream.resume();
+      cb(err);
+    };
+    file.stream.on('data', (chunk) => {
+      size += chunk.length;
+      req.mediaBytes = (req.mediaBytes || 0) + chunk.length;
+      if (size > limit) return fail(mediaError(`${file.originalname} is larger than ${video ? 50 : 10} MB`));
+      if (req.mediaBytes > MAX_REQUEST_BYTES) return fail(mediaError('Uploads may total at most 100 MB per request'));
+      chunks.push(chunk);
+    });
+    file.stream.on('error', fail);
+    file.stream.on('end', () => {
+      if (failed) return;
+      const buffer = Buffer.concat(chunks);
+      cb(null, { buffer, size: buffer.length });
+    });
+  },
+  _removeFile: (req, file, cb) => {
+    delete file.buffer;
+    cb(null);
+  }
+};
+
+// Files are held in memory until they've been validated and processed
+const upload = multer({
+  storage: limitedMemoryStorage,
+  limits: { fileSize: MAX_VIDEO_BYTES, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    const allowed = file.fieldname === 'additionalMedia' ? [...IMAGE_TYPES, ...VIDEO_TYPES] : IMAGE_TYPES;
+    if (!allowed.includes(file.mimetype)) {
+      return cb(mediaError(`Unsupported file type ${file.mimetype} for ${file.fieldname}`));
+    }
+    cb(null, true);
+  }
+});
+
+// upload.fields() that answers bad files with a 400 JSON error instead of an HTML 500
+const uploadMedia = fields => (req, res, next) => {
+  upload.fields(fields)(req, res, (err) => {
+    if (!err) return next();
+    const messages = {
+      LIMIT_FILE_SIZE: 'File is larger than 50 MB',
+      LIMIT_FILE_COUNT: `At most ${MAX_FILES} files per upload`
+    };
+    res.status(400).json({ message: messages[err.code] || err.message });
+  });
+};
+
+const contentHash = buffer => crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32);
+
+// Resize an image into WebP renditions named after its content hash. sharp drops
+// EXIF and other metadata unless asked to keep it; rotate() bakes in the EXIF orientation first.
+const storeImage = async (file) => {
+  if (file.size > MAX_IMAGE_BYTES) throw mediaError(`${file.originalname} is larger than 10 MB`);
+  try {
+    await sharp(file.buffer).metadata();
+  } catch (err) {
+    throw mediaError(`${file.originalname} is not a valid image`);
+  }
+
+  const storage = getStorage();
+  const hash = contentHash(file.buffer);
+  for (const [size, width] of Object.entries(IMAGE_SIZES)) {
+    const key = `${hash}-${size}.webp`;
+    if (await storage.exists(key)) continue;
+    const rendition = await sharp(file.buffer)
+      .rotate()
+      .resize({ width, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+    await storage.put(key, rendition);
+  }
+  return urlForKey(`${hash}-large.webp`);
+};
+
+const storeVideo = async (file) => {
+  const storage = getStorage();
+  const key = contentHash(file.buffer) + VIDEO_EXTENSIONS[file.mimetype];
+  if (!(await storage.exists(key))) await storage.put(key, file.buffer);
+  return urlForKey(key);
+};
+
+// Store one uploaded file and return the URL to save on the product
+const storeMedia = file => (VIDEO_TYPES.includes(file.mimetype) ? storeVideo(file) : storeImage(file));
+
+// Every stored file that backs a product media URL
+const keysFor = (url) => {
+  if (!keyFromUrl(url)) return [];
+  const responsive = responsiveImage(url);
+  const urls = responsive ? Object.keys(IMAGE_SIZES).map(size => responsive[size]) : [url];
+  return urls.map(keyFromUrl);
+};
+
+const productMediaUrls = product => [
+  product.image,
+  ...(product.additionalMedia || []),
+  ...(product.variants || []).map(v => v.image)
+].filter(u => u);
+
+// Delete the files behind these URLs unless a product, category or review still uses them
+// (content-hash names mean identical uploads share a file)
+const removeUnusedMedia = async (urls) => {
+  for (const url of new Set(urls)) {
+    const inUse = await Product.exists({
+      $or: [{ image: url }, { additionalMedia: url }, { 'variants.image': url }]
+    }) || await Category.exists({ image: url }) || await Review.exists({ photos: url });
+    if (inUse) continue;
+    for (const key of keysFor(url)) {
+      await getStorage().delete(key).catch(err => console.log(err));
+    }
+  }
+};
+
+module.exports = { uploadMedia, storeMedia, productMediaUrls, removeUnusedMedia };
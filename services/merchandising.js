@@ -0,0 +1,101 @@
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Placement = require('../models/Placement');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const settings = () => ({
+  newArrivalDays: parseInt(process.env.NEW_ARRIVAL_DAYS) || 30,
+  fastSellingDays: parseInt(process.env.FAST_SELLING_DAYS) || 14, // sales window for velocity
+  fastSellingLimit: parseInt(process.env.FAST_SELLING_LIMIT) || 20,
+  refreshMinutes: parseInt(process.env.FAST_SELLING_REFRESH_MINUTES) || 60
+});
+
+// The automatic part of each section: which products qualify and in what order.
+// Sections without one are made up of pins only.
+const AUTOMATIC = {
+  'new-arrivals': ({ newArrivalDays }) => ({
+    filter: { createdAt: { $gte: new Date(Date.now() - newArrivalDays * DAY_MS) } },
+    sort: { createdAt: -1, _id: 1 }
+  }),
+  'fast-selling': ({ fastSellingLimit }) => ({
+    filter: { salesVelocity: { $gt: 0 } },
+    sort: { salesVelocity: -1, _id: 1 },
+    limit: fastSellingLimit
+  })
+};
+
+const MAX_SECTION_SIZE = 500;
+
+// Ordered entries for a section: live pins by position, then the automatic list
+// without excluded or already pinned products. Each is { product, source }.
+const sectionEntries = async (section, { limit = MAX_SECTION_SIZE } = {}) => {
+  const placements = await Placement.find({ section, ...Placement.liveAt() }).sort({ position: 1, createdAt: 1 });
+  const pinned = placements.filter(p => p.action === 'pin').map(p => p.product);
+  const excluded = placements.filter(p => p.action === 'exclude').map(p => p.product);
+  const entries = pinned.map(product => ({ product, source: 'pin' }));
+
+  const automatic = AUTOMATIC[section] && AUTOMATIC[section](settings());
+  if (automatic && entries.length < limit) {
+    const products = await Product.find({ ...automatic.filter, _id: { $nin: [...pinned, ...excluded] } })
+      .sort(automatic.sort)
+      .limit(Math.min(automatic.limit || limit, limit - entries.length))
+      .select('_id');
+    entries.push(...products.map(p => ({ product: p._id, source: 'auto' })));
+  }
+  return entries.slice(0, limit);
+};
+
+// Product ids in a section, in display order
+const sectionProductIds = async (section, options) => (await sectionEntries(section, options)).map(e => e.product);
+
+// Products in a section, in display order, with their category
+const sectionProducts = async (section, options) => {
+  const ids = await sectionProductIds(section, options);
+  const products = await Product.find({ _id: { $in: ids } }).populate('category', 'name slug');
+  return ids.map(id => products.find(p => p._id.equals(id))).filter(Boolean);
+};
+
+// Recompute every product's sales velocity (units sold per day) from the last
+// fastSellingDays of orders that weren't cancelled. Returns how many products sold.
+const refreshSalesVelocity = async () => {
+  const { fastSellingDays } = settings();
+  const since = new Date(Date.now() - fastSellingDays * DAY_MS);
+  const sales = await Order.aggregate([
+    { $match: { createdAt: { $gte: since }, status: { $ne: 'cancelled' } } },
+    { $unwind: '$products' },
+    { $group: { _id: '$products.product', units: { $sum: '$products.quantity' } } }
+  ]);
+  const now = new Date();
+  if (sales.length) {
+    await Product.bulkWrite(sales.filter(s => s._id).map(s => ({
+      updateOne: {
+        filter: { _id: s._id },
+        update: { $set: { salesVelocity: Math.round(s.units / fastSellingDays * 1000) / 1000, salesVelocityAt: now } }
+      }
+    })));
+  }
+  await Product.updateMany(
+    { _id: { $nin: sales.map(s => s._id) }, salesVelocity: { $gt: 0 } },
+    { $set: { salesVelocity: 0, salesVelocityAt: now } }
+  );
+  return sales.length;
+};
+
+// Refresh sales velocity now and then every refreshMinutes while the process runs
+const startFastSellingJob = () => {
+  const run = () => refreshSalesVelocity().catch(err => console.log(err));
+  run();
+  const timer = setInterval(run, settings().refreshMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  settings,
+  sectionEntries,
+  sectionProductIds,
+  sectionProducts,
+  refreshSalesVelocity,
+  startFastSellingJob
+};
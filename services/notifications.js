@@ -0,0 +1,88 @@
+const AdminEvent = require('../models/AdminEvent');
+const events = require('./events');
+
+// Domain events pushed to the admin dashboard, with the fields each one carries
+const STREAMED_EVENTS = {
+  'order.created': ({ order }) => ({ order: order._id, total: order.total, status: order.status }),
+  'order.status_changed': ({ order, from }) => ({ order: order._id, from, status: order.status }),
+  'order.payment_changed': ({ order, from }) => ({
+    order: order._id, from, paymentStatus: order.paymentStatus, total: order.total
+  }),
+  'order.payment_issue': ({ order, issue }) => ({ order: order._id, invoiceNumber: order.invoiceNumber, issue }),
+  'payment.unmatched': ({ event }) => ({ reference: event.reference, status: event.status, amount: event.amount }),
+  'message.received': ({ conversation, message }) => ({
+    conversation: conversation._id,
+    subject: conversation.subject,
+    body: message.body.slice(0, 200)
+  }),
+  'stock.low': ({ product, variant, stock, threshold }) => ({
+    product: product._id,
+    name: product.name,
+    variant: variant ? variant._id : undefined,
+    sku: variant ? variant.sku : undefined,
+    stock,
+    threshold
+  }),
+  'review.submitted': ({ review, product }) => ({ review: review._id, product: product._id, name: product.name, rating: review.rating })
+};
+
+// Who may receive each event
+const EVENT_PERMISSIONS = {
+  'order.created': 'orders:view',
+  'order.status_changed': 'orders:view',
+  'order.payment_changed': 'orders:view',
+  'order.payment_issue': 'orders:view',
+  'payment.unmatched': 'orders:view',
+  'message.received': 'messages:view',
+  'stock.low': 'inventory:view',
+  'review.submitted': 'reviews:moderate'
+};
+
+// Open SSE responses, each with the permissions of the user who opened it. While a
+// response's missed events are replayed, live ones are held in its buffer.
+const clients = new Map();
+
+const send = (res, permissions, event) => {
+  if (!permissions.includes(EVENT_PERMISSIONS[event.type])) return;
+  res.write(`id: ${event._id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+};
+
+// Persist each event for replay, then push it to every connected dashboard
+for (const [type, toData] of Object.entries(STREAMED_EVENTS)) {
+  events.on(type, async (payload) => {
+    try {
+      const event = await AdminEvent.create({ type, data: toData(payload) });
+      clients.forEach((client, res) => {
+        if (client.buffer) client.buffer.push(event);
+        else send(res, client.permissions, event);
+      });
+    } catch (err) {
+      console.log(err);
+    }
+  });
+}
+
+// Register an open SSE response; events after lastEventId are replayed first. The response
+// is registered before the replay query so nothing emitted meanwhile is lost, and buffered
+// events the replay already sent are skipped.
+const subscribe = async (res, permissions, lastEventId) => {
+  const client = { permissions, buffer: lastEventId ? [] : null };
+  clients.set(res, client);
+  const unsubscribe = () => clients.delete(res);
+  if (!lastEventId) return unsubscribe;
+  try {
+    const missed = await AdminEvent.find({ _id: { $gt: lastEventId } }).sort({ _id: 1 }).limit(500);
+    const replayed = new Set(missed.map(event => String(event._id)));
+    missed.forEach(event => send(res, permissions, event));
+    client.buffer
+      .filter(event => !replayed.has(String(event._id)))
+      .forEach(event => send(res, permissions, event));
+    client.buffer = null;
+  } catch (err) {
+    unsubscribe();
+    throw err;
+  }
+  return unsubscribe;
+};
+
+module.exports = { subscribe };
@@ -0,0 +1,60 @@
+const Order = require('../../models/Order');
+const events = require('../events');
+const { withStockTransaction, releaseStock } = require('../inventory');
+const { releasePromotions } = require('../promotions');
+
+const timeoutMinutes = () => parseInt(process.env.PAYMENT_TIMEOUT_MINUTES) || 30;
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Cancel pending orders that still haven't been paid after the timeout, returning their
+// stock and promotion redemptions. Orders from before payments existed have no stored
+// paymentStatus, so the query never matches them; nor do orders with nothing to pay,
+// e.g. fully covered by a promotion.
+const expireUnpaidOrders = async () => {
+  const cutoff = new Date(Date.now() - timeoutMinutes() * 60 * 1000);
+  const stale = await Order.find({
+    status: 'pending',
+    paymentStatus: { $in: ['unpaid', 'failed'] },
+    total: { $gt: 0 },
+    createdAt: { $lt: cutoff }
+  }).select('_id').limit(100);
+
+  let expired = 0;
+  for (const { _id } of stale) {
+    try {
+      const order = await withStockTransaction(async (session) => {
+        // Re-read inside the transaction: a payment may have landed since the query
+        const found = await Order.findOne({
+          _id,
+          status: 'pending',
+          paymentStatus: { $in: ['unpaid', 'failed'] },
+          total: { $gt: 0 }
+        }).session(session);
+        if (!found) return null;
+        found.transitionTo('cancelled', null, 'Payment not received in time');
+        await releaseStock(found, null, session);
+        await releasePromotions(found, session);
+        await found.save({ session });
+        return found;
+      });
+      if (order) {
+        expired++;
+        events.emit('order.status_changed', { order, from: 'pending' });
+      }
+    } catch (err) {
+      console.log(err);
+    }
+  }
+  return expired;
+};
+
+// Check for expired orders every minute for as long as the process runs
+const startPaymentExpiryJob = () => {
+  const timer = setInterval(() => {
+    expireUnpaidOrders().catch(err => console.log(err));
+  }, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { expireUnpaidOrders, startPaymentExpiryJob };
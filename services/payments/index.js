@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const events = require('../events');
+const createPaystackProvider = require('./paystack');
+const createMockProvider = require('./mock');
+
+const appUrl = () => process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+// Every provider exposes the same interface:
+//   initialize({ reference, amount, email, callbackUrl, metadata }) -> { authorizationUrl }
+//   verifySignature(rawBody, headers) -> boolean
+//   parseEvent(body) -> { id, reference, status, amount, order } or null, where order is
+//     the order id echoed back from the checkout metadata when the provider has it
+//   verify(reference) -> same shape as parseEvent, or null
+//   refund(reference, amount)
+//
+// Payments fail closed: the provider must be named explicitly, its secret must be
+// set, and the mock provider (whose checkout page lets anyone mark an order paid)
+// is refused in production.
+const configError = message => Object.assign(new Error(`Payments are not configured: ${message}`), { status: 503 });
+
+const requireEnv = (name) => {
+  if (!process.env[name]) throw configError(`${name} is not set`);
+  return process.env[name];
+};
+
+const createProvider = (driver = process.env.PAYMENT_PROVIDER) => {
+  if (!driver) throw configError('PAYMENT_PROVIDER is not set');
+  if (driver === 'paystack') {
+    return createPaystackProvider({
+      secretKey: requireEnv('PAYSTACK_SECRET_KEY'),
+      baseUrl: process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co',
+      channels: (process.env.PAYSTACK_CHANNELS || 'card,mobile_money').split(',')
+    });
+  }
+  if (driver === 'mock') {
+    if (process.env.NODE_ENV === 'production') throw configError('the mock provider cannot be used in production');
+    return createMockProvider({
+      secret: requireEnv('MOCK_PAYMENT_SECRET'),
+      appUrl: appUrl()
+    });
+  }
+  throw configError(`unknown provider ${driver}`);
+};
+
+let provider;
+
+// The provider selected by PAYMENT_PROVIDER, created on first use
+const getProvider = () => {
+  if (!provider) provider = createProvider();
+  return provider;
+};
+
+// Every attempt's reference stays on the order, so a customer who pays on an earlier
+// checkout link still lands on it. Orders from before the list existed only have payment.reference.
+const findByReference = reference => Order.findOne({
+  $or: [{ 'payment.references': reference }, { 'payment.reference': reference }]
+});
+
+// Send the customer to the provider to pay for an order. Each attempt gets a fresh
+// reference, so a retry after a failed charge can't be confused with the old one.
+const startPayment = async (order, buyer) => {
+  if (!['unpaid', 'failed'].includes(order.paymentStatus)) {
+    const err = new Error(`Order is already ${order.paymentStatus}`);
+    err.status = 409;
+    throw err;
+  }
+  if (order.status === 'cancelled') {
+    const err = new Error('Order has been cancelled');
+    err.status = 409;
+    throw err;
+  }
+  const active = getProvider();
+  const reference = `${order.invoiceNumber || order._id}-${crypto.randomBytes(4).toString('hex')}`;
+  const { authorizationUrl } = await active.initialize({
+    reference,
+    amount: order.total,
+    email: buyer.email,
+    callbackUrl: process.env.PAYMENT_CALLBACK_URL,
+    metadata: { order: String(order._id) }
+  });
+  const payment = { 'payment.provider': active.name, 'payment.reference': reference, 'payment.amount': order.total };
+  const { matchedCount } = await Order.updateOne(
+    { _id: order._id, paymentStatus: { $in: ['unpaid', 'failed'] } },
+    { $set: payment, $push: { 'payment.references': reference } }
+  );
+  if (!matchedCount) {
+    const err = new Error('Order payment has changed, reload it');
+    err.status = 409;
+    throw err;
+  }
+  order.set(payment);
+  order.payment.references.push(reference);
+  return { reference, authorizationUrl };
+};
+
+// Which payment statuses each status may be reached from
+const PAYMENT_TRANSITIONS = {
+  paid: ['unpaid', 'failed'],
+  failed: ['unpaid', 'failed'],
+  refunded: ['paid']
+};
+
+// Apply a provider event to its order. Providers retry webhooks and may deliver them
+// out of order, so each event id is applied at most once and only moves the payment
+// along an allowed transition; anything else is acknowledged and ignored.
+//
+// Money that can't simply be applied (a wrong amount, or a charge on a cancelled order)
+// is flagged on the order and pushed to the dashboard so staff refund it.
+const flagPaymentIssue = async (order, issue, eventId) => {
+  await Order.updateOne({ _id: order._id }, { $set: { 'payment.issue': issue }, $addToSet: { 'payment.events': eventId } });
+  console.log(`Order ${order._id}: ${issue}`);
+  events.emit('order.payment_issue', { order, issue });
+};
+
+// A reference no order knows (e.g. initialised but never saved) is matched through the
+// order id in the checkout metadata; failing that, staff are alerted rather than it being dropped
+const adoptReference = async (event) => {
+  if (!event.order || !mongoose.isValidObjectId(event.order)) return null;
+  const order = await Order.findByIdAndUpdate(
+    event.order,
+    { $addToSet: { 'payment.references': event.reference } },
+    { new: true }
+  );
+  if (order) console.log(`Order ${order._id}: matched unknown reference ${event.reference} through its metadata`);
+  return order;
+};
+
+const applyPaymentEvent = async (event) => {
+  const order = await findByReference(event.reference) || await adoptReference(event);
+  if (!order) {
+    console.log(`Payment event ${event.id} has unknown reference ${event.reference}`);
+    events.emit('payment.unmatched', { event });
+    return { applied: false, reason: 'Unknown reference' };
+  }
+  if (order.payment.events.includes(event.id)) return { applied: false, reason: 'Already processed' };
+  if (event.status === 'paid' && Math.round(event.amount * 100) !== Math.round(order.payment.amount * 100)) {
+    await flagPaymentIssue(order, `Charged GHS ${event.amount} but the order expects GHS ${order.payment.amount}; `
+      + 'check the payment with the provider and refund it', event.id);
+    return { applied: false, reason: 'Amount mismatch' };
+  }
+
+  const update = { $set: { paymentStatus: event.status }, $push: { 'payment.events': event.id } };
+  if (event.status === 'paid') {
+    // From here on the reference is the attempt that was paid, which is the one to refund
+    update.$set['payment.reference'] = event.reference;
+    update.$set['payment.paidAt'] = new Date();
+  }
+  if (event.status === 'refunded') {
+    update.$set['payment.refundedAt'] = new Date();
+    update.$unset = { 'payment.issue': '' };
+  }
+  const updated = await Order.findOneAndUpdate({
+    _id: order._id,
+    paymentStatus: { $in: PAYMENT_TRANSITIONS[event.status] || [] },
+    'payment.events': { $ne: event.id }
+  }, update, { new: true });
+
+  if (!updated) {
+    // Still record the id so a redelivery short-circuits above
+    await Order.updateOne({ _id: order._id }, { $addToSet: { 'payment.events': event.id } });
+    if (event.status === 'paid' && ['paid', 'refunded'].includes(order.paymentStatus)
+      && event.reference !== order.payment.reference) {
+      await flagPaymentIssue(order, `Paid again through reference ${event.reference} after reference `
+        + `${order.payment.reference}; refund the second charge`, event.id);
+      return { applied: false, reason: 'Already paid through another reference' };
+    }
+    return { applied: false, reason: `Cannot change payment from ${order.paymentStatus} to ${event.status}` };
+  }
+  events.emit('order.payment_changed', { order: updated, from: order.paymentStatus });
+  if (event.status === 'paid' && updated.status === 'cancelled') {
+    await flagPaymentIssue(updated, 'Paid after the order was cancelled; refund it', event.id);
+  }
+  return { applied: true, order: updated };
+};
+
+module.exports = { createProvider, getProvider, findByReference, startPayment, applyPaymentEvent, PAYMENT_TRANSITIONS };
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+// Local stand-in for a real provider. Checkout is a page served by this app with
+// pay/fail buttons; outcomes come back as signed webhooks, just like the real thing.
+const createMockProvider = ({ secret, appUrl }) => {
+  const sign = rawBody => crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+  const sendWebhook = async (event) => {
+    const rawBody = JSON.stringify(event);
+    const res = await fetch(`${appUrl}/api/payments/webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-mock-signature': sign(rawBody) },
+      body: rawBody
+    });
+    if (!res.ok) throw new Error(`Mock webhook failed with ${res.status}`);
+  };
+
+  return {
+    name: 'mock',
+
+    initialize: async ({ reference }) => ({
+      authorizationUrl: `${appUrl}/api/payments/mock/checkout?reference=${encodeURIComponent(reference)}`
+    }),
+
+    verifySignature: (rawBody, headers) => {
+      const signature = headers['x-mock-signature'];
+      if (!signature || !rawBody) return false;
+      const expected = sign(rawBody);
+      return signature.length === expected.length
+        && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    },
+
+    parseEvent: body => (body && body.id && body.reference ? body : null),
+
+    verify: async () => null,
+
+    refund: async (reference, amount) => {
+      await sendWebhook({ id: crypto.randomUUID(), reference, status: 'refunded', amount });
+    },
+
+    // Used by the mock checkout page: pretend the customer paid, or the charge failed
+    simulate: async (reference, outcome, amount, order) => {
+      await sendWebhook({
+        id: crypto.randomUUID(),
+        reference,
+        status: outcome === 'fail' ? 'failed' : 'paid',
+        amount,
+        order: String(order)
+      });
+    }
+  };
+};
+
+module.exports = createMockProvider;
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+// Paystack charges in pesewas; cards and mobile money (MTN MoMo, Telecel Cash, AirtelTigo)
+const toPesewas = amount => Math.round(amount * 100);
+
+const EVENT_STATUS = {
+  'charge.success': 'paid',
+  'charge.failed': 'failed',
+  'refund.processed': 'refunded'
+};
+
+const createPaystackProvider = ({ secretKey, baseUrl, channels }) => {
+  const request = async (method, path, body) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${secretKey}`, 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const json = await res.json();
+    if (!res.ok || !json.status) throw new Error(`Paystack: ${json.message || res.statusText}`);
+    return json.data;
+  };
+
+  return {
+    name: 'paystack',
+
+    initialize: async ({ reference, amount, email, callbackUrl, metadata }) => {
+      const data = await request('POST', '/transaction/initialize', {
+        reference,
+        email,
+        amount: toPesewas(amount),
+        currency: 'GHS',
+        channels,
+        callback_url: callbackUrl,
+        metadata
+      });
+      return { authorizationUrl: data.authorization_url };
+    },
+
+    // x-paystack-signature is an HMAC-SHA512 of the raw body with the secret key
+    verifySignature: (rawBody, headers) => {
+      const signature = headers['x-paystack-signature'];
+      if (!signature || !rawBody) return false;
+      const expected = crypto.createHmac('sha512', secretKey).update(rawBody).digest('hex');
+      return signature.length === expected.length
+        && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    },
+
+    // Normalise a webhook body to { id, reference, status, amount, order }, or null for events we don't track
+    parseEvent: (body) => {
+      const status = EVENT_STATUS[body.event];
+      if (!status || !body.data) return null;
+      const reference = status === 'refunded' ? body.data.transaction_reference : body.data.reference;
+      const order = body.data.metadata && body.data.metadata.order;
+      return { id: `${body.event}:${body.data.id}`, reference, status, amount: body.data.amount / 100, order };
+    },
+
+    // Ask Paystack directly, for when a webhook is late or lost
+    verify: async (reference) => {
+      const data = await request('GET', `/transaction/verify/${encodeURIComponent(reference)}`);
+      const status = { success: 'paid', failed: 'failed', reversed: 'refunded' }[data.status];
+      return status ? { id: `verify:${data.id}:${data.status}`, reference, status, amount: data.amount / 100 } : null;
+    },
+
+    // The refunded status arrives later via the refund.processed webhook
+    refund: async (reference) => {
+      await request('POST', '/refund', { transaction: reference });
+    }
+  };
+};
+
+module.exports = createPaystackProvider;
@@ -0,0 +1,36 @@
+// Named permissions that custom staff roles are built from
+const PERMISSIONS = {
+  'products:write': 'Create and edit products, import the catalog and set stock thresholds',
+  'products:delete': 'Delete products',
+  'inventory:view': 'See low-stock alerts, stock history and catalog exports',
+  'inventory:adjust': 'Record stock receipts, damage and counts',
+  'orders:view': 'See all customer orders',
+  'orders:update': 'Move orders through fulfilment and cancel them',
+  'messages:view': 'Read the customer inbox',
+  'messages:respond': 'Reply to, assign and close conversations',
+  'customers:manage': 'Switch customers between retail and wholesale pricing',
+  'promotions:manage': 'Create and edit promo codes and see their redemptions',
+  'delivery:manage': 'Set up delivery zones, fees and pickup points',
+  'merchandising:manage': 'Schedule homepage sections and pin or hide products in them',
+  'reviews:moderate': 'Approve or reject product reviews and reply to them publicly',
+  'reports:view': 'See sales analytics'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Staff without a custom role (or whose role was deleted) can run day-to-day order
+// fulfilment and the inbox; anything more has to be granted through a role
+const BASELINE_STAFF_PERMISSIONS = ['inventory:view', 'orders:view', 'orders:update', 'messages:view', 'messages:respond'];
+
+// The superadmin can do everything. Staff get the permissions of their custom role,
+// or the baseline without one. Customers get none. Expects user.staffRole to be populated.
+const permissionsFor = (user) => {
+  if (!user) return [];
+  if (user.role === 'superadmin') return ALL_PERMISSIONS;
+  if (user.role !== 'staff') return [];
+  return user.staffRole ? user.staffRole.permissions : BASELINE_STAFF_PERMISSIONS;
+};
+
+const hasPermission = (user, permission) => permissionsFor(user).includes(permission);
+
+module.exports = { PERMISSIONS, ALL_PERMISSIONS, BASELINE_STAFF_PERMISSIONS, permissionsFor, hasPermission };
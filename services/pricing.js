@@ -0,0 +1,29 @@
+// Accounts that may see and buy at wholesale tier prices
+const canSeeWholesaleTiers = user => !!user && ['wholesale', 'staff', 'superadmin'].includes(user.role);
+
+// Unit price for a line: variant override, then the best quantity break for wholesale buyers
+const unitPrice = (product, variant, quantity, buyer) => {
+  let price = variant && variant.price != null ? variant.price : product.price;
+  if (product.isWholesale && canSeeWholesaleTiers(buyer)) {
+    const tier = (product.priceTiers || [])
+      .filter(t => quantity >= t.minQty)
+      .sort((a, b) => b.minQty - a.minQty)[0];
+    if (tier) price = tier.price;
+  }
+  return price;
+};
+
+// Shape a product for the public API: wholesale price breaks are stripped for retail
+// customers, and category stays the name string storefronts read from before categories
+// had their own model, with the populated { _id, name, slug } under categoryInfo
+const productForViewer = (product, user) => {
+  const json = typeof product.toJSON === 'function' ? product.toJSON() : { ...product };
+  if (!canSeeWholesaleTiers(user)) delete json.priceTiers;
+  if (json.category && json.category.name !== undefined) {
+    json.categoryInfo = json.category;
+    json.category = json.category.name;
+  }
+  return json;
+};
+
+module.exports = { canSeeWholesaleTiers, unitPrice, productForViewer };
@@ -0,0 +1,209 @@
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify/sync');
+const ExcelJS = require('exceljs');
+const Product = require('../models/Product');
+const { recordMovement, withStockTransaction } = require('./inventory');
+const { categoryLookup } = require('./categories');
+
+// Spreadsheet column -> Product field. Headers are matched case-insensitively,
+// ignoring spaces, underscores and dashes, so "Short Description" and "short_description" both work.
+const COLUMNS = {
+  sku: 'sku',
+  name: 'name',
+  shortdescription: 'shortDescription',
+  longdescription: 'longDescription',
+  description: 'longDescription',
+  brand: 'brand',
+  colors: 'colors',
+  colours: 'colors',
+  sizes: 'sizes',
+  price: 'price',
+  stock: 'stock',
+  category: 'category',
+  image: 'image',
+  wholesale: 'isWholesale',
+  iswholesale: 'isWholesale',
+  minorderqty: 'minOrderQty',
+  moq: 'minOrderQty',
+  lowstockthreshold: 'lowStockThreshold',
+  weight: 'weightKg',
+  weightkg: 'weightKg'
+};
+
+// Columns written on export, in order. category is written as its full path
+// (e.g. "Fashion > Shoes"); imports also accept a slug or an unambiguous name.
+// Variants aren't exported, and stock is left blank for products that have them,
+// since their stock is kept per variant.
+const EXPORT_FIELDS = [
+  'sku', 'name', 'shortDescription', 'longDescription', 'brand', 'colors', 'sizes', 'price', 'stock',
+  'category', 'image', 'isWholesale', 'minOrderQty', 'lowStockThreshold', 'weightKg'
+];
+
+const LIST_FIELDS = ['colors', 'sizes'];
+const NUMBER_FIELDS = ['price', 'stock', 'minOrderQty', 'lowStockThreshold', 'weightKg'];
+const BOOLEAN_FIELDS = ['isWholesale'];
+
+const normaliseHeader = header => String(header).toLowerCase().replace(/[\s_-]/g, '');
+
+// Spreadsheet apps run text starting with these as a formula, so exports prefix it with
+// a quote (CSV/Excel injection); imports drop the quote again
+const FORMULA_START = /^[=+\-@\t\r]/;
+const escapeFormula = value => (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value);
+const unescapeFormula = value => (value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value);
+
+const cellText = (value) => {
+  if (value == null) return '';
+  if (typeof value === 'object' && value.text !== undefined) return String(value.text); // hyperlinks
+  if (typeof value === 'object' && value.result !== undefined) return String(value.result); // formulas
+  return String(value).trim();
+};
+
+// Read a CSV or XLSX upload into an array of { header: text } rows
+const readSpreadsheet = async (buffer, filename) => {
+  const ext = path.extname(filename).toLowerCase();
+  if (ext === '.csv') {
+    return parse(buffer, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+  }
+  if (ext === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+    const headers = [];
+    sheet.getRow(1).eachCell((cell, col) => { headers[col] = cellText(cell.value); });
+    const rows = [];
+    sheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const record = {};
+      headers.forEach((header, col) => { if (header) record[header] = cellText(row.getCell(col).value); });
+      if (Object.values(record).some(v => v !== '')) rows.push(record);
+    });
+    return rows;
+  }
+  throw Object.assign(new Error('Upload a .csv or .xlsx file'), { status: 400 });
+};
+
+// Turn one spreadsheet row into Product fields plus a list of problems with it.
+// Blank cells are left out so an update doesn't wipe fields the sheet doesn't carry.
+const mapRow = (row) => {
+  const data = {};
+  const errors = [];
+  for (const [header, raw] of Object.entries(row)) {
+    const field = COLUMNS[normaliseHeader(header)];
+    const value = unescapeFormula(cellText(raw));
+    if (!field || value === '') continue;
+    if (LIST_FIELDS.includes(field)) {
+      data[field] = value.split(/[;,|]/).map(v => v.trim()).filter(v => v);
+    } else if (NUMBER_FIELDS.includes(field)) {
+      const number = Number(value);
+      if (isNaN(number) || number < 0) errors.push(`${header} must be a non-negative number`);
+      else data[field] = number;
+    } else if (BOOLEAN_FIELDS.includes(field)) {
+      data[field] = ['true', 'yes', 'y', '1'].includes(value.toLowerCase());
+    } else {
+      data[field] = value;
+    }
+  }
+  if (data.stock !== undefined && !Number.isInteger(data.stock)) errors.push('stock must be a whole number');
+  if (!data.sku && !data.name) errors.push('Each row needs a sku or name');
+  return { data, errors };
+};
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Match on SKU when the row has one, otherwise on an exact (case-insensitive) name
+const findExisting = (data) => {
+  if (data.sku) return Product.findOne({ sku: data.sku });
+  return Product.findOne({ name: new RegExp(`^${escapeRegex(data.name)}$`, 'i') });
+};
+
+// Validate every row and work out whether it creates or updates a product.
+// With commit set, valid rows are written (stock through the inventory ledger) and invalid rows skipped.
+const importRows = async (rows, { commit = false, actor } = {}) => {
+  const findCategory = await categoryLookup();
+  const seen = new Set();
+  const results = [];
+  for (const [index, row] of rows.entries()) {
+    const { data, errors } = mapRow(row);
+    if (data.category) {
+      const category = findCategory(data.category);
+      if (category) data.category = category._id;
+      else errors.push(`Unknown category "${data.category}"`);
+    }
+    const result = { row: index + 2, sku: data.sku, name: data.name, action: null, errors }; // +2: header row, 1-based
+
+    const key = data.sku ? `sku:${data.sku}` : `name:${String(data.name || '').toLowerCase()}`;
+    if (seen.has(key)) errors.push('Duplicate of an earlier row');
+    seen.add(key);
+
+    const existing = errors.length ? null : await findExisting(data);
+    const { stock, ...fields } = data;
+    if (!errors.length) {
+      result.action = existing ? 'update' : 'create';
+      // An unchanged total (e.g. from an older export) is fine; only changes are refused
+      if (existing && existing.variants.length && stock !== undefined && stock !== existing.stock) {
+        errors.push('Stock is tracked per variant for this product; adjust it from the dashboard');
+      }
+      const candidate = existing || new Product({ stock: 0 });
+      candidate.set(fields);
+      const invalid = candidate.validateSync();
+      if (invalid) errors.push(...Object.values(invalid.errors).map(e => e.message));
+    }
+
+    if (commit && !errors.length) {
+      try {
+        await withStockTransaction(async (session) => {
+          const product = existing
+            ? await Product.findById(existing._id).session(session)
+            : new Product({ stock: 0 });
+          product.set(fields);
+          await product.save({ session });
+          const delta = stock === undefined ? 0 : stock - product.stock;
+          if (delta) {
+            await recordMovement({
+              product: product._id,
+              type: existing ? 'adjustment' : 'receipt',
+              quantity: delta,
+              reason: existing ? 'Bulk import' : 'Opening stock (bulk import)',
+              actor
+            }, session);
+          }
+        });
+        result.imported = true;
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+    results.push(result);
+  }
+
+  return {
+    total: results.length,
+    valid: results.filter(r => !r.errors.length).length,
+    invalid: results.filter(r => r.errors.length).length,
+    imported: results.filter(r => r.imported).length,
+    rows: results
+  };
+};
+
+const exportRow = (product, paths) => EXPORT_FIELDS.map((field) => {
+  if (field === 'category') return escapeFormula(paths.get(String(product.category)) || '');
+  if (field === 'stock' && product.variants && product.variants.length) return '';
+  const value = product[field];
+  if (Array.isArray(value)) return escapeFormula(value.join(';'));
+  return value == null ? '' : escapeFormula(value);
+});
+
+const toCsv = (products, paths) => stringify([EXPORT_FIELDS, ...products.map(p => exportRow(p, paths))]);
+
+const toXlsx = async (products, paths) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Products');
+  sheet.addRow(EXPORT_FIELDS);
+  sheet.getRow(1).font = { bold: true };
+  products.forEach(p => sheet.addRow(exportRow(p, paths)));
+  return workbook.xlsx.writeBuffer();
+};
+
+module.exports = { readSpreadsheet, mapRow, importRows, toCsv, toXlsx };
@@ -0,0 +1,151 @@
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+
+const promotionError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const round = n => Math.round(n * 100) / 100;
+
+const inScope = (promotion, line) => {
+  const { products = [], categories = [] } = promotion.scope || {};
+  if (!products.length && !categories.length) return true;
+  return products.some(id => id.equals(line.product)) || categories.some(id => line.categories.includes(String(id)));
+};
+
+// GHS taken off the eligible lines by one promotion
+const discountFor = (promotion, eligible) => {
+  const eligibleTotal = eligible.reduce((sum, l) => sum + l.price * l.quantity, 0);
+  switch (promotion.type) {
+    case 'percentage':
+      return eligibleTotal * promotion.value / 100;
+    case 'fixed':
+      return Math.min(promotion.value, eligibleTotal);
+    case 'bxgy': {
+      // Every buyQty + getQty units earn getQty of the cheapest ones at getDiscount% off
+      const units = eligible.flatMap(l => Array(l.quantity).fill(l.price)).sort((a, b) => a - b);
+      const freeUnits = Math.floor(units.length / (promotion.buyQty + promotion.getQty)) * promotion.getQty;
+      return units.slice(0, freeUnits).reduce((sum, price) => sum + price, 0) * promotion.getDiscount / 100;
+    }
+    default:
+      return 0;
+  }
+};
+
+// Check that a code can be used right now by this buyer on a cart of this size
+const checkPromotion = async (promotion, code, buyer, subtotal, session) => {
+  const now = new Date();
+  if (!promotion || !promotion.active) throw promotionError(`Promo code ${code} is not valid`);
+  if (promotion.startsAt && promotion.startsAt > now) throw promotionError(`Promo code ${code} is not active yet`);
+  if (promotion.endsAt && promotion.endsAt <= now) throw promotionError(`Promo code ${code} has expired`);
+  if (promotion.usageLimit && promotion.redemptionCount >= promotion.usageLimit) {
+    throw promotionError(`Promo code ${code} has been fully redeemed`);
+  }
+  if (subtotal < promotion.minSpend) {
+    throw promotionError(`Promo code ${code} needs a minimum spend of GHS ${promotion.minSpend}`);
+  }
+  if (promotion.perCustomerLimit) {
+    const used = await Order.countDocuments({
+      user: buyer._id,
+      'promotions.promotion': promotion._id,
+      status: { $ne: 'cancelled' }
+    }).session(session || null);
+    if (used >= promotion.perCustomerLimit) throw promotionError(`You have already used promo code ${code}`);
+  }
+};
+
+// Work out the discounts a set of codes gives on priced order lines. Returns
+// { promotions, discount, freeDelivery }; nothing is redeemed.
+const applyPromotions = async (codes, lines, buyer, session) => {
+  const unique = [...new Set((codes || []).map(c => String(c).trim().toUpperCase()).filter(Boolean))];
+  const result = { promotions: [], discount: 0, freeDelivery: false };
+  if (!unique.length) return result;
+
+  const subtotal = lines.reduce((sum, l) => sum + l.price * l.quantity, 0);
+  const found = await Promotion.find({ code: { $in: unique } }).session(session || null);
+  if (unique.length > 1 && found.some(p => !p.stackable)) {
+    throw promotionError('These promo codes cannot be combined');
+  }
+  const products = await Product.find({ _id: { $in: lines.map(l => l.product) } }, 'category')
+    .populate('category', 'ancestors')
+    .session(session || null);
+  // Each line's category and the categories above it
+  const categoriesOf = (id) => {
+    const product = products.find(p => p._id.equals(id));
+    const category = product && product.category;
+    return category ? [category._id, ...category.ancestors].map(String) : [];
+  };
+  const categorised = lines.map(l => ({ ...l, categories: categoriesOf(l.product) }));
+
+  for (const code of unique) {
+    const promotion = found.find(p => p.code === code);
+    await checkPromotion(promotion, code, buyer, subtotal, session);
+    const eligible = categorised.filter(l => inScope(promotion, l));
+    if (!eligible.length) throw promotionError(`Promo code ${code} doesn't apply to anything in your cart`);
+    if (promotion.type === 'free_delivery') result.freeDelivery = true;
+    const discount = round(Math.min(discountFor(promotion, eligible), subtotal - result.discount));
+    result.discount = round(result.discount + discount);
+    result.promotions.push({ promotion: promotion._id, code, type: promotion.type, discount });
+  }
+  return result;
+};
+
+// Take one of a customer's uses of a promotion. The conditional $inc can't pass the limit,
+// and the unique index turns two racing first uses into one duplicate-key failure. A
+// customer's first use since these counts were kept starts from the orders they already placed.
+const redeemForCustomer = async (promotion, code, buyer, session) => {
+  const filter = { promotion: promotion._id, user: buyer._id };
+  const alreadyUsed = () => promotionError(`You have already used promo code ${code}`, 409);
+  const taken = await PromotionRedemption.findOneAndUpdate(
+    { ...filter, count: { $lt: promotion.perCustomerLimit } },
+    { $inc: { count: 1 } },
+    { session }
+  );
+  if (taken) return;
+  if (await PromotionRedemption.exists(filter).session(session || null)) throw alreadyUsed();
+  const previous = await Order.countDocuments({
+    user: buyer._id,
+    'promotions.promotion': promotion._id,
+    status: { $ne: 'cancelled' }
+  }).session(session || null);
+  if (previous >= promotion.perCustomerLimit) throw alreadyUsed();
+  try {
+    await PromotionRedemption.create([{ ...filter, count: previous + 1 }], { session });
+  } catch (err) {
+    if (err.code === 11000) throw alreadyUsed();
+    throw err;
+  }
+};
+
+// Count the redemptions inside the order transaction. The guards stop two orders
+// racing past a usage limit or a per-customer limit.
+const redeemPromotions = async (promotions, buyer, session) => {
+  for (const applied of promotions) {
+    const redeemed = await Promotion.findOneAndUpdate(
+      {
+        _id: applied.promotion,
+        $or: [{ usageLimit: null }, { $expr: { $lt: ['$redemptionCount', '$usageLimit'] } }]
+      },
+      { $inc: { redemptionCount: 1 } },
+      { session }
+    );
+    if (!redeemed) throw promotionError(`Promo code ${applied.code} has been fully redeemed`, 409);
+    if (redeemed.perCustomerLimit) await redeemForCustomer(redeemed, applied.code, buyer, session);
+  }
+};
+
+// Give back the redemptions of a cancelled order
+const releasePromotions = (order, session) => Promise.all((order.promotions || []).flatMap(applied => [
+  Promotion.updateOne({ _id: applied.promotion, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } }, { session }),
+  PromotionRedemption.updateOne(
+    { promotion: applied.promotion, user: order.user, count: { $gt: 0 } },
+    { $inc: { count: -1 } },
+    { session }
+  )
+]));
+
+module.exports = { applyPromotions, redeemPromotions, releasePromotions };
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+
+// The customer's most recent delivered order containing the product, or null
+const deliveredOrderFor = (userId, productId) => Order.findOne({
+  user: userId,
+  status: 'delivered',
+  'products.product': productId
+}).sort({ createdAt: -1 });
+
+// Recompute a product's rating and review count from its approved reviews
+const refreshRating = async (productId) => {
+  const [summary] = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'approved' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+  const ratingAverage = summary ? Math.round(summary.average * 10) / 10 : 0;
+  const ratingCount = summary ? summary.count : 0;
+  await Product.updateOne({ _id: productId }, { $set: { ratingAverage, ratingCount } });
+  return { ratingAverage, ratingCount };
+};
+
+// How many approved reviews gave each number of stars, as { 1: n, ..., 5: n }
+const ratingBreakdown = async (productId) => {
+  const rows = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'approved' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+  const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  rows.forEach((row) => { breakdown[row._id] = row.count; });
+  return breakdown;
+};
+
+module.exports = { deliveredOrderFor, refreshRating, ratingBreakdown };
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+// How long the refresh token just rotated out is still accepted
+const REUSE_GRACE_MS = (parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS) || 30) * 1000;
+
+const sessionError = (message, status = 401) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, session) =>
+  jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+// Give the session a fresh refresh token; only its hash is stored
+const issueRefreshToken = (session) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  session.tokenHash = hashToken(secret);
+  session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+  session.lastUsedAt = new Date();
+  return `${session._id}.${secret}`;
+};
+
+const startSession = async (user, req) => {
+  const session = new Session({ user: user._id, userAgent: req.get('User-Agent'), ip: req.ip });
+  const refreshToken = issueRefreshToken(session);
+  await session.save();
+  return { token: signAccessToken(user, session), refreshToken };
+};
+
+// Swap a refresh token for a new access/refresh pair. The token rotated out last is
+// still accepted for REFRESH_REUSE_GRACE_SECONDS, since tabs sharing a session can
+// refresh at the same moment; any older token means it was copied, so the whole
+// session is revoked.
+const rotateSession = async (refreshToken, req) => {
+  const [id, secret] = String(refreshToken || '').split('.');
+  if (!mongoose.isValidObjectId(id) || !secret) throw sessionError('Invalid refresh token');
+  const presented = hashToken(secret);
+
+  // A second attempt re-reads the session after losing a race to a concurrent refresh
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    const session = await Session.findById(id).select('+tokenHash +previousTokenHash');
+    if (!session || session.revokedAt || session.expiresAt < new Date()) throw sessionError('Session expired');
+    const justRotated = session.previousTokenHash === presented
+      && session.rotatedAt > new Date(Date.now() - REUSE_GRACE_MS);
+    if (session.tokenHash !== presented && !justRotated) {
+      session.revokedAt = new Date();
+      await session.save();
+      throw sessionError('Refresh token already used; session revoked');
+    }
+    const user = await User.findById(session.user).populate('staffRole');
+    if (!user) throw sessionError('Account no longer exists');
+
+    const previousHash = session.tokenHash;
+    const nextToken = issueRefreshToken(session);
+    session.ip = req.ip;
+    const rotated = await Session.updateOne(
+      { _id: session._id, tokenHash: previousHash, revokedAt: null },
+      {
+        tokenHash: session.tokenHash,
+        previousTokenHash: previousHash,
+        rotatedAt: new Date(),
+        expiresAt: session.expiresAt,
+        lastUsedAt: session.lastUsedAt,
+        ip: session.ip
+      }
+    );
+    if (rotated.modifiedCount) return { token: signAccessToken(user, session), refreshToken: nextToken, user };
+  }
+  throw sessionError('Refresh token already used');
+};
+
+// Resolve an access token to { user, sessionId }, or null if it is invalid, its
+// session has been revoked, or the account is gone. Database errors are thrown, so
+// an outage isn't mistaken for a bad token.
+const authenticate = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  const session = await Session.findById(decoded.sid);
+  if (!session || session.revokedAt) return null;
+  const user = await User.findById(decoded.id).populate('staffRole');
+  return user ? { user, sessionId: session._id } : null;
+};
+
+const revokeSessions = (userId, exceptSessionId) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return Session.updateMany(filter, { revokedAt: new Date() });
+};
+
+module.exports = { hashToken, startSession, rotateSession, authenticate, revokeSessions };
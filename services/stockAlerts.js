@@ -0,0 +1,67 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const events = require('./events');
+
+// Used when neither the product nor its category sets a threshold
+const DEFAULT_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD) || 5;
+
+// Threshold per category id; a category without one inherits its nearest ancestor's
+const categoryThresholds = async () => {
+  const categories = await Category.find().select('ancestors lowStockThreshold');
+  const own = new Map(categories.map(c => [String(c._id), c.lowStockThreshold]));
+  const byCategory = {};
+  for (const c of categories) {
+    const chain = [c._id, ...[...c.ancestors].reverse()].map(String);
+    const inherited = chain.map(id => own.get(id)).find(t => t != null);
+    if (inherited != null) byCategory[String(c._id)] = inherited;
+  }
+  return byCategory;
+};
+
+const effectiveThreshold = (product, byCategory) => {
+  if (product.lowStockThreshold != null) return product.lowStockThreshold;
+  if (byCategory[String(product.category)] != null) return byCategory[String(product.category)];
+  return DEFAULT_THRESHOLD;
+};
+
+// A product is low when its total stock, or the stock of any one variant, is at or below its threshold
+const isLow = (product, threshold) => product.stock <= threshold
+  || (product.variants || []).some(v => v.stock <= threshold);
+
+// Products that are low on stock, lowest total stock first
+const lowStockProducts = async () => {
+  const byCategory = await categoryThresholds();
+  const maxThreshold = Math.max(DEFAULT_THRESHOLD, ...Object.values(byCategory));
+  const hasVariants = { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] };
+  const candidates = await Product.find({
+    $or: [
+      { stock: { $lte: maxThreshold } },
+      { 'variants.stock': { $lte: maxThreshold } },
+      { $expr: { $lte: ['$stock', '$lowStockThreshold'] } },
+      { $expr: { $and: [hasVariants, { $lte: [{ $min: '$variants.stock' }, '$lowStockThreshold'] }] } }
+    ]
+  }).sort({ stock: 1 });
+  return candidates
+    .map(p => ({ product: p, threshold: effectiveThreshold(p, byCategory) }))
+    .filter(({ product, threshold }) => isLow(product, threshold));
+};
+
+// Fire 'stock.low' for each change that took a product, or one of its variants, from above
+// its threshold to at or below it. changes holds { product, variant, before, after } entries
+// collected during a committed transaction; variant is set for per-variant changes.
+const fireLowStockAlerts = async (changes) => {
+  if (!changes.length) return;
+  const byCategory = await categoryThresholds();
+  const products = await Product.find({ _id: { $in: changes.map(c => c.product) } });
+  for (const change of changes) {
+    const product = products.find(p => p._id.equals(change.product));
+    if (!product) continue;
+    const threshold = effectiveThreshold(product, byCategory);
+    if (change.before > threshold && change.after <= threshold) {
+      const variant = change.variant ? product.variants.id(change.variant) : undefined;
+      events.emit('stock.low', { product, variant, stock: change.after, threshold });
+    }
+  }
+};
+
+module.exports = { DEFAULT_THRESHOLD, effectiveThreshold, lowStockProducts, fireLowStockAlerts };
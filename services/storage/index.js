@@ -0,0 +1,43 @@
+const path = require('path');
+const createLocalStorage = require('./local');
+const createS3Storage = require('./s3');
+
+// Products store media as "/uploads/<key>". That path never changes; the active
+// backend decides where the file behind <key> lives and how it's served.
+const UPLOAD_URL = '/uploads/';
+
+const keyFromUrl = url => (url && url.startsWith(UPLOAD_URL) ? url.slice(UPLOAD_URL.length) : null);
+const urlForKey = key => UPLOAD_URL + key;
+
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'local') => {
+  if (driver === 'local') {
+    return createLocalStorage({
+      root: process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'backend', 'uploads')
+    });
+  }
+  if (driver === 's3') {
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      prefix: process.env.S3_PREFIX || '',
+      publicUrl: process.env.S3_PUBLIC_URL,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      } : undefined
+    });
+  }
+  throw new Error(`Unknown storage driver ${driver}`);
+};
+
+let storage;
+
+// The backend selected by STORAGE_DRIVER, created on first use
+const getStorage = () => {
+  if (!storage) storage = createStorage();
+  return storage;
+};
+
+module.exports = { UPLOAD_URL, keyFromUrl, urlForKey, createStorage, getStorage };
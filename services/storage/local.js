@@ -0,0 +1,39 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Files on the local disk, served by the app itself
+const createLocalStorage = ({ root }) => {
+  const fileFor = key => path.join(root, path.basename(key));
+
+  return {
+    name: 'local',
+
+    put: async (key, buffer) => {
+      await fs.mkdir(root, { recursive: true });
+      await fs.writeFile(fileFor(key), buffer);
+    },
+
+    get: key => fs.readFile(fileFor(key)),
+
+    exists: key => fs.access(fileFor(key)).then(() => true, () => false),
+
+    delete: async (key) => {
+      await fs.unlink(fileFor(key)).catch((err) => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+    },
+
+    list: async () => {
+      const names = await fs.readdir(root).catch(() => []);
+      return names.filter(name => !name.startsWith('.'));
+    },
+
+    serve: (key, res) => {
+      res.sendFile(fileFor(key), { maxAge: '365d', immutable: true }, (err) => {
+        if (err && !res.headersSent) res.status(404).json({ message: 'File not found' });
+      });
+    }
+  };
+};
+
+module.exports = createLocalStorage;
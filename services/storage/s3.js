@@ -0,0 +1,82 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+const CONTENT_TYPES = {
+  '.webp': 'image/webp',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime'
+};
+
+const contentType = key => CONTENT_TYPES[(key.match(/\.[^.]+$/) || [''])[0].toLowerCase()] || 'application/octet-stream';
+
+// An S3-compatible bucket (AWS S3, MinIO, ...). With publicUrl set, requests for
+// files are redirected there; otherwise the app streams them from the bucket.
+const createS3Storage = ({ bucket, prefix = '', publicUrl, ...clientConfig }) => {
+  const client = new S3Client(clientConfig);
+  const objectKey = key => prefix + key;
+
+  return {
+    name: 's3',
+
+    put: (key, buffer) => client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: objectKey(key),
+      Body: buffer,
+      ContentType: contentType(key),
+      CacheControl: 'public, max-age=31536000, immutable'
+    })),
+
+    get: async (key) => {
+      const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return Buffer.from(await object.Body.transformToByteArray());
+    },
+
+    exists: async (key) => {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+      } catch (err) {
+        if (err.name === 'NotFound' || (err.$metadata && err.$metadata.httpStatusCode === 404)) return false;
+        throw err;
+      }
+    },
+
+    delete: key => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) })),
+
+    list: async () => {
+      const keys = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+        (page.Contents || []).forEach(o => keys.push(o.Key.slice(prefix.length)));
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return keys;
+    },
+
+    serve: async (key, res) => {
+      if (publicUrl) return res.redirect(301, `${publicUrl.replace(/\/$/, '')}/${objectKey(key)}`);
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        res.type(object.ContentType || contentType(key));
+        res.set('Cache-Control', 'public, max-age=31536000, immutable');
+        object.Body.pipe(res);
+      } catch (err) {
+        res.status(404).json({ message: 'File not found' });
+      }
+    }
+  };
+};
+
+module.exports = createS3Storage;